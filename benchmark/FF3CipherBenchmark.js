@@ -0,0 +1,71 @@
+/*
+ * Benchmark of FF3Cipher encrypt and decrypt throughput by radix and message length
+ *
+ * Copyright (c) 2021 Schoening Consulting LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and limitations under the License.
+ *
+ * Usage: npm run bench [-- milliseconds per case]
+ */
+
+const FF3Cipher = require('../lib/FF3Cipher');
+
+const KEY = "EF4359D8D580AA4F7F036D6F04FC6A94";
+const TWEAK = "D8E7920AFA330A";
+const DURATION_MS = Number(process.argv[2]) || 500;
+
+// Radix 256 uses a custom alphabet of the Latin Extended-A and Extended-B characters U+0100 to U+01FF
+let latinExtended = '';
+for (let i = 0; i < 256; i++) {
+    latinExtended += String.fromCharCode(0x100 + i);
+}
+
+const RADICES = [10, 26, 36, 62, latinExtended];
+
+function randomText(alphabet, length) {
+    const symbols = Array.from(alphabet);
+    let text = '';
+    for (let i = 0; i < length; i++) {
+        text += symbols[Math.floor(Math.random() * symbols.length)];
+    }
+    return text;
+}
+
+// Run fn repeatedly for DURATION_MS and return operations per second
+
+function opsPerSec(fn) {
+    const deadline = process.hrtime.bigint() + BigInt(DURATION_MS) * 1000000n;
+    let ops = 0;
+    let now;
+    const start = process.hrtime.bigint();
+    do {
+        for (let i = 0; i < 100; i++) {
+            fn();
+        }
+        ops += 100;
+        now = process.hrtime.bigint();
+    } while (now < deadline);
+    return Math.round(ops * 1e9 / Number(now - start));
+}
+
+console.log("radix  length  encrypt ops/sec  decrypt ops/sec");
+for (const radix of RADICES) {
+    const c = new FF3Cipher(KEY, TWEAK, radix);
+    const lengths = [...new Set([c.minLen, Math.min(16, c.maxLen), c.maxLen])];
+    for (const length of lengths) {
+        const plaintext = randomText(c.alphabet, length);
+        const ciphertext = c.encrypt(plaintext);
+        const enc = opsPerSec(() => c.encrypt(plaintext));
+        const dec = opsPerSec(() => c.decrypt(ciphertext));
+        console.log(`${String(c.radix).padStart(5)}  ${String(length).padStart(6)}  ${String(enc).padStart(15)}  ${String(dec).padStart(15)}`);
+    }
+}
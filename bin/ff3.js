@@ -0,0 +1,241 @@
+#!/usr/bin/env node
+/*
+ * Command-line tool for format-preserving encryption of files and columns
+ *
+ * Copyright (c) 2021 Schoening Consulting LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and limitations under the License.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { pipeline } = require('stream');
+const FF3Cipher = require('../lib/FF3Cipher');
+const FF1Cipher = require('../lib/FF1Cipher');
+const FieldEncryptStream = require('../lib/FieldEncryptStream');
+const { runVectorFiles } = require('../lib/acvp');
+const { createServer } = require('../lib/server');
+
+const KEY_ENV = 'FF3_KEY';
+const TOKEN_ENV = 'FF3_SERVER_TOKEN';
+
+const USAGE = `Usage: ff3 <command> [options]
+
+Commands:
+  encrypt              encrypt values read from the input
+  decrypt              decrypt values read from the input
+  keygen               print a random hex key
+  acvp <request> [<response>]
+                       run ACVP FF3-1 or FF1 JSON test vectors, reporting each test case
+  serve                run the HTTP tokenization service
+
+The key is read from the environment variable ${KEY_ENV}, or the variable named by
+--key-env, or from --key-file. It is never accepted on the command line.
+
+Options for encrypt and decrypt:
+  --key-env <name>     environment variable holding the hex key (default ${KEY_ENV})
+  --key-file <path>    file holding the hex key
+  --tweak <hex>        tweak, 56 or 64 bits for FF3 (required), any length for FF1
+  --algorithm <name>   ff3 (default) or ff1
+  --radix <n>          radix of the default alphabet 0-9a-zA-Z (default 10)
+  --alphabet <chars>   custom alphabet, instead of --radix
+  --format <name>      lines (default), csv or ndjson
+  --column <col>       CSV column name or index to encrypt, may be repeated
+  --path <path>        NDJSON dotted property path to encrypt, may be repeated
+  --delimiter <char>   CSV field separator (default ,)
+  --no-header          CSV input has no header record
+  --on-error <policy>  abort (default), skip or pass
+  --input <path>       input file (default stdin)
+  --output <path>      output file (default stdout)
+
+Options for keygen:
+  --bits <n>           key length of 128, 192 or 256 bits (default 256)
+
+Options for serve:
+  --config <path>      JSON file of { "profiles": { <name>: { keyEnv, tweak, radix, ... } } }
+  --port <n>           port to listen on (default 8080)
+  --host <addr>        address to listen on (default 127.0.0.1)
+If ${TOKEN_ENV} is set, requests must send it as a bearer token.
+`;
+
+const FLAGS = ['no-header', 'help'];
+const REPEATED = ['column', 'path'];
+const OPTIONS = ['key-env', 'key-file', 'tweak', 'algorithm', 'radix', 'alphabet', 'format', 'delimiter', 'on-error',
+    'input', 'output', 'bits', 'config', 'port', 'host', ...REPEATED];
+
+function parseArgs(argv) {
+    const args = { _: [], column: [], path: [] };
+    for (let i = 0; i < argv.length; ++i) {
+        const arg = argv[i];
+        if (!arg.startsWith('--')) {
+            args._.push(arg);
+            continue;
+        }
+        // Only the name is ever echoed, so a value given as --name=value stays out of the error
+        const name = arg.substring(2).split('=')[0];
+        if (name === 'key') {
+            throw new Error("--key is not supported, pass the key in an environment variable or key file");
+        }
+        if (!FLAGS.includes(name) && !OPTIONS.includes(name)) {
+            throw new Error(`unknown option --${name}`);
+        }
+        if (arg.includes('=')) {
+            throw new Error(`--${name}=<value> is not supported, pass --${name} <value>`);
+        }
+        if (FLAGS.includes(name)) {
+            args[name] = true;
+        } else if (i + 1 >= argv.length) {
+            throw new Error(`missing value for ${arg}`);
+        } else if (REPEATED.includes(name)) {
+            args[name].push(argv[++i]);
+        } else {
+            args[name] = argv[++i];
+        }
+    }
+    return args;
+}
+
+function readKey(args) {
+    if (args['key-file'] !== undefined) {
+        return fs.readFileSync(args['key-file'], 'utf8').trim();
+    }
+    const name = args['key-env'] || KEY_ENV;
+    const key = process.env[name];
+    if (!key) {
+        throw new Error(`no key: set ${name} or pass --key-file`);
+    }
+    return key.trim();
+}
+
+function createCipher(args) {
+    const key = readKey(args);
+    const radix = (args.alphabet !== undefined) ? args.alphabet : Number(args.radix || 10);
+    switch (args.algorithm || 'ff3') {
+        case 'ff3':
+            if (args.tweak === undefined) {
+                throw new Error("--tweak is required for ff3");
+            }
+            return new FF3Cipher(key, args.tweak, radix);
+        case 'ff1':
+            return new FF1Cipher(key, args.tweak || '', radix);
+        default:
+            throw new Error(`unknown algorithm ${args.algorithm}`);
+    }
+}
+
+function createStream(args, isEncrypt) {
+    const cipher = createCipher(args);
+    const format = args.format || 'lines';
+    let names;
+    if (format === 'csv') {
+        names = args.column;
+    } else if (format === 'ndjson') {
+        names = args.path;
+    } else {
+        names = ['0'];
+    }
+    if (names.length === 0) {
+        throw new Error(`${format} format requires ${format === 'csv' ? '--column' : '--path'}`);
+    }
+    const fields = {};
+    names.forEach(name => {
+        fields[name] = cipher;
+    });
+    const s = new FieldEncryptStream({
+        format,
+        fields,
+        decrypt: !isEncrypt,
+        errorPolicy: args['on-error'],
+        header: (format === 'csv') ? !args['no-header'] : undefined,
+        delimiter: args.delimiter
+    });
+    s.on('recordError', (err, recordNumber) => {
+        process.stderr.write(`ff3: record ${recordNumber}: ${err.message}\n`);
+    });
+    return s;
+}
+
+function main(argv) {
+    let args;
+    try {
+        args = parseArgs(argv);
+    } catch (ex) {
+        process.stderr.write(`ff3: ${ex.message}\n`);
+        return 2;
+    }
+    const command = args._[0];
+    if (args.help) {
+        process.stdout.write(USAGE);
+        return 0;
+    }
+    if (command === undefined) {
+        process.stderr.write(USAGE);
+        return 2;
+    }
+
+    try {
+        if (command === 'keygen') {
+            const bits = Number(args.bits || 256);
+            if (![128, 192, 256].includes(bits)) {
+                throw new Error("--bits must be 128, 192 or 256");
+            }
+            process.stdout.write(crypto.randomBytes(bits / 8).toString('hex').toUpperCase() + '\n');
+            return 0;
+        }
+        if (command === 'serve') {
+            if (args.config === undefined) {
+                throw new Error("serve requires --config");
+            }
+            const config = JSON.parse(fs.readFileSync(args.config, 'utf8'));
+            const server = createServer({ profiles: config.profiles, token: process.env[TOKEN_ENV] || undefined });
+            const host = args.host || '127.0.0.1';
+            server.listen(Number(args.port || 8080), host, () => {
+                process.stderr.write(`ff3: listening on ${host}:${server.address().port}\n`);
+            });
+            return undefined;
+        }
+        if (command === 'acvp') {
+            if (args._.length < 2) {
+                throw new Error("acvp requires a request file");
+            }
+            const report = runVectorFiles(args._[1], args._[2]);
+            for (const r of report.results) {
+                const detail = r.passed ? '' : (r.error ? ` ${r.error.message}` : ` expected ${r.expected} got ${r.actual}`);
+                process.stdout.write(`tg ${r.tgId} tc ${r.tcId} ${r.direction}: ${r.passed ? 'pass' : 'FAIL'}${detail}\n`);
+            }
+            process.stdout.write(`${report.algorithm}: ${report.passed} passed, ${report.failed} failed\n`);
+            return (report.failed === 0) ? 0 : 1;
+        }
+        if ((command !== 'encrypt') && (command !== 'decrypt')) {
+            throw new Error(`unknown command ${command}`);
+        }
+        const s = createStream(args, command === 'encrypt');
+        const input = args.input ? fs.createReadStream(args.input) : process.stdin;
+        const output = args.output ? fs.createWriteStream(args.output) : process.stdout;
+        pipeline(input, s, output, (err) => {
+            if (err) {
+                const where = (err.recordNumber !== undefined) ? `record ${err.recordNumber}: ` : '';
+                process.stderr.write(`ff3: ${where}${err.message}\n`);
+                process.exitCode = 1;
+            }
+        });
+        return undefined;
+    } catch (ex) {
+        process.stderr.write(`ff3: ${ex.message}\n`);
+        return 1;
+    }
+}
+
+const code = main(process.argv.slice(2));
+if (code !== undefined) {
+    process.exitCode = code;
+}
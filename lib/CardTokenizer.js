@@ -0,0 +1,102 @@
+/*
+ * Payment card tokenization with BIN and last four retention and Luhn-valid output
+ *
+ * Copyright (c) 2021 Schoening Consulting LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and limitations under the License.
+ */
+
+const CycleWalkingCipher = require('./CycleWalkingCipher');
+const { InvalidRadixError, InvalidLengthError, InvalidFormatError } = require('./errors');
+
+const BIN_LEN =      6;       // leading digits kept in clear
+const LAST_LEN =     4;       // trailing digits kept in clear
+const MIN_PAN_LEN =  12;
+const MAX_PAN_LEN =  19;
+const PAN_PATTERN =  /^[0-9]*$/;
+
+class CardTokenizer {
+
+    constructor(cipher, options = {}) {
+        // Class CardTokenizer encrypts the middle digits of a PAN with cipher, a radix 10 FF3Cipher or FF1Cipher,
+        // keeping the BIN and last four digits in clear.
+        // options.short is the behavior when the middle digits are fewer than cipher.minLen:
+        //   'reduceBin' (default) keeps fewer BIN digits in clear, 'error' throws InvalidLengthError
+        if (cipher.alphabet !== '0123456789') {
+            throw new InvalidRadixError("card tokenization requires a radix 10 cipher", cipher.radix);
+        }
+        this.cipher = cipher;
+        this.walker = new CycleWalkingCipher(cipher);
+        this.short = options.short || 'reduceBin';
+        if ((this.short !== 'reduceBin') && (this.short !== 'error')) {
+            throw new TypeError(`unknown short PAN behavior ${this.short}`);
+        }
+    }
+
+    static luhnCheck(pan) {
+        let sum = 0;
+        for (let i = pan.length - 1, double = false; i >= 0; --i, double = !double) {
+            let d = pan.charCodeAt(i) - 48;
+            if (double) {
+                d *= 2;
+                if (d > 9) {
+                    d -= 9;
+                }
+            }
+            sum += d;
+        }
+        return sum % 10 === 0;
+    }
+
+    // Number of leading digits kept in clear for a PAN of length n
+
+    binLength(n) {
+        const middle = n - BIN_LEN - LAST_LEN;
+        if (middle >= this.cipher.minLen) {
+            return BIN_LEN;
+        }
+        if (this.short === 'error') {
+            throw new InvalidLengthError(middle, this.cipher.minLen, this.cipher.maxLen);
+        }
+        return BIN_LEN - (this.cipher.minLen - middle);
+    }
+
+    transform(pan, tweak, isEncrypt) {
+        const n = pan.length;
+        if ((n < MIN_PAN_LEN) || (n > MAX_PAN_LEN) || !PAN_PATTERN.test(pan)) {
+            throw new InvalidFormatError(`PAN must be ${MIN_PAN_LEN} to ${MAX_PAN_LEN} digits`);
+        }
+        if (!CardTokenizer.luhnCheck(pan)) {
+            throw new InvalidFormatError("PAN fails the Luhn check");
+        }
+
+        const bin = pan.substring(0, this.binLength(n));
+        const last = pan.substring(n - LAST_LEN);
+        const middle = pan.substring(bin.length, n - LAST_LEN);
+
+        // Cycle walk the middle digits until the whole PAN passes the Luhn check
+        const options = { tweak, isValid: m => CardTokenizer.luhnCheck(bin + m + last) };
+        return bin + (isEncrypt ? this.walker.encrypt(middle, options) : this.walker.decrypt(middle, options)) + last;
+    }
+
+    /* tweak optionally overrides the cipher's tweak for this call */
+    encrypt(pan, tweak) {
+        return this.transform(pan, tweak, true);
+    }
+
+    /* tweak optionally overrides the cipher's tweak for this call */
+    decrypt(token, tweak) {
+        return this.transform(token, tweak, false);
+    }
+}
+
+module.exports = CardTokenizer;
@@ -0,0 +1,76 @@
+/*
+ * Cycle walking for constrained output domains
+ *
+ * Copyright (c) 2021 Schoening Consulting LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and limitations under the License.
+ */
+
+const { InvalidFormatError, CycleLimitError } = require('./errors');
+
+const MAX_CYCLES =   1000;
+
+class CycleWalkingCipher {
+
+    constructor(cipher, options = {}) {
+        // Class CycleWalkingCipher restricts cipher, an FF3Cipher or FF1Cipher, to the values accepted by
+        // options.isValid. The cipher is a permutation, so re-encrypting from a valid value reaches the next
+        // valid value in its cycle, and decrypting walks back the same cycle.
+        // options.maxCycles caps the number of cipher calls before a CycleLimitError is thrown (default 1000).
+        this.cipher = cipher;
+        this.isValid = options.isValid;
+        this.maxCycles = CycleWalkingCipher.checkMaxCycles(options.maxCycles, MAX_CYCLES);
+    }
+
+    // maxCycles must be a positive integer, so an explicit 0 is an error rather than the default
+
+    static checkMaxCycles(maxCycles, defaultCycles) {
+        if (maxCycles === undefined) {
+            return defaultCycles;
+        }
+        if (!Number.isInteger(maxCycles) || (maxCycles < 1)) {
+            throw new RangeError(`maxCycles must be a positive integer, not ${maxCycles}`);
+        }
+        return maxCycles;
+    }
+
+    // options may override isValid, maxCycles and the cipher's tweak for this call
+
+    walk(text, options, isEncrypt) {
+        const isValid = options.isValid || this.isValid;
+        const maxCycles = CycleWalkingCipher.checkMaxCycles(options.maxCycles, this.maxCycles);
+        if (typeof isValid !== 'function') {
+            throw new TypeError("isValid must be a function");
+        }
+        if (!isValid(text)) {
+            throw new InvalidFormatError("value does not satisfy isValid");
+        }
+
+        for (let i = 0; i < maxCycles; ++i) {
+            text = isEncrypt ? this.cipher.encrypt(text, options.tweak) : this.cipher.decrypt(text, options.tweak);
+            if (isValid(text)) {
+                return text;
+            }
+        }
+        throw new CycleLimitError(maxCycles);
+    }
+
+    encrypt(plaintext, options = {}) {
+        return this.walk(plaintext, options, true);
+    }
+
+    decrypt(ciphertext, options = {}) {
+        return this.walk(ciphertext, options, false);
+    }
+}
+
+module.exports = CycleWalkingCipher;
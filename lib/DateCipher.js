@@ -0,0 +1,207 @@
+/*
+ * Date and timestamp encryption into valid dates within a window
+ *
+ * Copyright (c) 2021 Schoening Consulting LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and limitations under the License.
+ */
+
+const CycleWalkingCipher = require('./CycleWalkingCipher');
+const { decodeInt, encodeInt } = require('./alphabet');
+const { DOMAIN_MIN } = require('./ff3core');
+const { InvalidDomainError, InvalidFormatError } = require('./errors');
+
+const FORMATS = ['iso', 'us', 'epoch'];
+const DAY_MS =       86400000;
+const DAY_SECONDS =  86400n;
+const MIN_CYCLES =   1000;
+const CYCLE_MARGIN = 50;      // maxCycles is this many times the expected number of cycles
+
+const ISO_PATTERN =  /^(\d{4})-(\d{2})-(\d{2})$/;
+const US_PATTERN =   /^(\d{2})\/(\d{2})\/(\d{4})$/;
+const EPOCH_PATTERN = /^-?\d+$/;
+
+// Days since 1970-01-01 for a proleptic Gregorian date, or NaN if it is not a real date.
+// setUTCFullYear is used because Date.UTC maps years 0 to 99 to 1900 to 1999.
+
+function dayNumber(year, month, day) {
+    const d = new Date(0);
+    d.setUTCFullYear(year, month - 1, day);
+    if ((d.getUTCFullYear() !== year) || (d.getUTCMonth() !== month - 1) || (d.getUTCDate() !== day)) {
+        return NaN;
+    }
+    return d.getTime() / DAY_MS;
+}
+
+function dateOf(days) {
+    const d = new Date(days * DAY_MS);
+    return { year: d.getUTCFullYear(), month: d.getUTCMonth() + 1, day: d.getUTCDate() };
+}
+
+function pad(n, width) {
+    return String(n).padStart(width, '0');
+}
+
+function detectFormat(value) {
+    if (typeof value === 'number' || typeof value === 'bigint') {
+        return 'epoch';
+    }
+    if (typeof value === 'string') {
+        if (ISO_PATTERN.test(value)) {
+            return 'iso';
+        }
+        if (US_PATTERN.test(value)) {
+            return 'us';
+        }
+        if (EPOCH_PATTERN.test(value)) {
+            return 'epoch';
+        }
+    }
+    throw new InvalidFormatError(`value ${value} is not an ISO date, MM/DD/YYYY date or epoch seconds`);
+}
+
+class DateCipher {
+
+    constructor(cipher, options) {
+        // Class DateCipher encrypts dates into other real dates within a window, such as birth dates between
+        // 1900-01-01 and 2030-12-31, and formats the result like the input. A date is converted to its day index
+        // in the window, and epoch seconds to their second index, which is encrypted with cipher, an FF3Cipher or
+        // FF1Cipher, and cycle walked until it is inside the window.
+        // options.start and options.end are the first and last days of the window as ISO dates
+        // options.format is 'iso' (YYYY-MM-DD), 'us' (MM/DD/YYYY) or 'epoch' (seconds), by default detected per value
+        // options.maxCycles caps the cycle walk, by default a margin over the expected number of cycles
+        // options.shortCipher is a SmallDomainCipher for a window of fewer than DOMAIN_MIN days or seconds, such
+        //   as the 47,847 days from 1900 to 2030. Without it, such a window throws InvalidDomainError.
+        this.cipher = cipher;
+        this.shortCipher = options.shortCipher;
+        if ((options.format !== undefined) && !FORMATS.includes(options.format)) {
+            throw new TypeError(`unknown format ${options.format}`);
+        }
+        this.format = options.format;
+        this.startDay = DateCipher.parseWindowDate(options.start, 'start');
+        this.endDay = DateCipher.parseWindowDate(options.end, 'end');
+        if (this.endDay < this.startDay) {
+            throw new InvalidDomainError(`window end ${options.end} is before start ${options.start}`, 0n);
+        }
+        const days = BigInt(this.endDay - this.startDay + 1);
+        this.days = this.domain(days, options.maxCycles);
+        this.seconds = this.domain(days * DAY_SECONDS, options.maxCycles);
+    }
+
+    static parseWindowDate(date, name) {
+        const m = (typeof date === 'string') ? ISO_PATTERN.exec(date) : null;
+        const days = m ? dayNumber(Number(m[1]), Number(m[2]), Number(m[3])) : NaN;
+        if (Number.isNaN(days)) {
+            throw new TypeError(`${name} must be an ISO date YYYY-MM-DD`);
+        }
+        return days;
+    }
+
+    // The indexes [0, size) are encrypted as numeral strings and cycle walked to stay inside the window, which
+    // makes the window the domain of the permutation. FF3-1 and FF1 require at least DOMAIN_MIN values, so a
+    // smaller window is encrypted with the shortCipher, which is weaker, rather than walked through FF3-1.
+
+    domain(size, maxCycles) {
+        let cipher = this.cipher;
+        if (size < BigInt(DOMAIN_MIN)) {
+            if (this.shortCipher === undefined) {
+                throw new InvalidDomainError(`window of ${size} values is smaller than ${DOMAIN_MIN}; ` +
+                    `pass a SmallDomainCipher as options.shortCipher`, size);
+            }
+            cipher = this.shortCipher;
+        }
+        const { radix, alphabet, minLen, maxLen } = cipher;
+        let length = 0;
+        for (let n = 1n; n < size; n *= BigInt(radix)) {
+            length++;
+        }
+        length = Math.max(length, minLen);
+        if (length > maxLen) {
+            throw new InvalidDomainError(`window of ${size} values needs ${length} numerals ` +
+                `but the cipher's maxLen is ${maxLen}`, size);
+        }
+        const expected = Number((BigInt(radix) ** BigInt(length) + size - 1n) / size);
+        const walker = new CycleWalkingCipher(cipher, {
+            isValid: s => decodeInt(Array.from(s), radix, alphabet) < size,
+            maxCycles: (maxCycles !== undefined) ? maxCycles : Math.max(MIN_CYCLES, CYCLE_MARGIN * expected)
+        });
+        return { size, length, cipher, walker };
+    }
+
+    walk(domain, index, tweak, isEncrypt) {
+        const { radix, alphabet } = domain.cipher;
+        const numerals = encodeInt(index, radix, alphabet, domain.length).join('');
+        const options = { tweak };
+        const result = isEncrypt ? domain.walker.encrypt(numerals, options) : domain.walker.decrypt(numerals, options);
+        return decodeInt(Array.from(result), radix, alphabet);
+    }
+
+    transformDate(value, format, tweak, isEncrypt) {
+        const m = (format === 'iso') ? ISO_PATTERN.exec(value) : US_PATTERN.exec(value);
+        if (m === null) {
+            throw new InvalidFormatError(`value ${value} is not a ${format === 'iso' ? 'YYYY-MM-DD' : 'MM/DD/YYYY'} date`);
+        }
+        const days = (format === 'iso') ? dayNumber(Number(m[1]), Number(m[2]), Number(m[3])) :
+            dayNumber(Number(m[3]), Number(m[1]), Number(m[2]));
+        if (Number.isNaN(days)) {
+            throw new InvalidFormatError(`value ${value} is not a real date`);
+        }
+        if ((days < this.startDay) || (days > this.endDay)) {
+            throw new InvalidFormatError(`date ${value} is outside the window`);
+        }
+        const result = this.startDay + Number(this.walk(this.days, BigInt(days - this.startDay), tweak, isEncrypt));
+        const { year, month, day } = dateOf(result);
+        return (format === 'iso') ? `${pad(year, 4)}-${pad(month, 2)}-${pad(day, 2)}` :
+            `${pad(month, 2)}/${pad(day, 2)}/${pad(year, 4)}`;
+    }
+
+    transformEpoch(value, tweak, isEncrypt) {
+        if (!((typeof value === 'bigint') || Number.isSafeInteger(value) ||
+            ((typeof value === 'string') && EPOCH_PATTERN.test(value)))) {
+            throw new InvalidFormatError(`value ${value} is not an integer number of epoch seconds`);
+        }
+        const seconds = BigInt(value);
+        const start = BigInt(this.startDay) * DAY_SECONDS;
+        const index = seconds - start;
+        if ((index < 0n) || (index >= this.seconds.size)) {
+            throw new InvalidFormatError(`epoch seconds ${value} are outside the window`);
+        }
+        const result = start + this.walk(this.seconds, index, tweak, isEncrypt);
+        if (typeof value === 'string') {
+            return String(result);
+        }
+        return (typeof value === 'bigint') ? result : Number(result);
+    }
+
+    transform(value, tweak, isEncrypt) {
+        const format = this.format || detectFormat(value);
+        if (format === 'epoch') {
+            return this.transformEpoch(value, tweak, isEncrypt);
+        }
+        if (typeof value !== 'string') {
+            throw new InvalidFormatError(`value ${value} is not a string`);
+        }
+        return this.transformDate(value, format, tweak, isEncrypt);
+    }
+
+    /* tweak optionally overrides the cipher's tweak for this call */
+    encrypt(plaintext, tweak) {
+        return this.transform(plaintext, tweak, true);
+    }
+
+    /* tweak optionally overrides the cipher's tweak for this call */
+    decrypt(ciphertext, tweak) {
+        return this.transform(ciphertext, tweak, false);
+    }
+}
+
+module.exports = DateCipher;
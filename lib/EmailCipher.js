@@ -0,0 +1,173 @@
+/*
+ * Email address encryption preserving the structure of the address
+ *
+ * Copyright (c) 2021 Schoening Consulting LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and limitations under the License.
+ */
+
+const CycleWalkingCipher = require('./CycleWalkingCipher');
+const { alphabetInfo } = require('./alphabet');
+const { InvalidRadixError, InvalidLengthError, InvalidFormatError } = require('./errors');
+
+const MAX_LOCAL_LEN =  64;    // RFC 5321 limits
+const MAX_DOMAIN_LEN = 255;
+const CYCLE_MARGIN =   50;    // maxCycles for short values is this many times the expected number of cycles
+const WALK_LIMIT =     100;   // most expected cycles to walk a short value, so at most 5000 cipher calls
+
+// RFC 5322 dot-atom local parts and RFC 1035 host names. Quoted local parts and address literals are not supported.
+const LOCAL_PATTERN =  /^[A-Za-z0-9!#$%&'*+/=?^_`{|}~-]+(\.[A-Za-z0-9!#$%&'*+/=?^_`{|}~-]+)*$/;
+const DOMAIN_PATTERN = /^([A-Za-z0-9]([A-Za-z0-9-]*[A-Za-z0-9])?\.)+[A-Za-z]([A-Za-z0-9-]*[A-Za-z0-9])?$/;
+const ATEXT_PATTERN =  /^[A-Za-z0-9!#$%&'*/=?^_`{|}~-]$/;    // atext less '+', which starts a tag
+const HOST_PATTERN =   /^[A-Za-z0-9]$/;
+
+const OPTIONS = {
+    domain: ['keep', 'encrypt'],
+    tag: ['encrypt', 'keep'],
+    short: ['walk', 'error']
+};
+
+class EmailCipher {
+
+    constructor(cipher, options = {}) {
+        // Class EmailCipher encrypts email addresses into other valid addresses, e.g. john.smith+news@example.com.
+        // Characters in the alphabet of cipher, an FF3Cipher or FF1Cipher, are encrypted as one numeral string and
+        // dots, '+' and other characters stay in place. Radix 36 (0-9a-z) or 62 (0-9a-zA-Z) suit most addresses.
+        // If the alphabet has no uppercase letters, addresses are lowercased first, so the result is lowercase
+        // and decrypts to the lowercased address; with uppercase letters, case is encrypted and kept exactly.
+        // options.domain is 'keep' (default) or 'encrypt', which encrypts every label but the top-level domain
+        // options.tag is 'encrypt' (default) or 'keep' for a plus-tag such as +news
+        // options.short is the behavior when a part has fewer than cipher.minLen numerals:
+        //   'walk' (default) cycle walks to a value of the same length if that takes at most 100 expected cipher
+        //   calls, e.g. 3 of radix 36's minimum of 4, and otherwise encrypts with options.shortCipher.
+        //   'error' throws InvalidLengthError.
+        // options.shortCipher is a SmallDomainCipher with the same alphabet as cipher. Without it, parts too
+        //   short to walk throw InvalidLengthError.
+        this.cipher = cipher;
+        this.shortCipher = options.shortCipher;
+        for (const [name, values] of Object.entries(OPTIONS)) {
+            this[name] = options[name] || values[0];
+            if (!values.includes(this[name])) {
+                throw new TypeError(`unknown ${name} option ${this[name]}`);
+            }
+        }
+
+        // Every symbol the cipher can output must be valid where it is written
+        const info = alphabetInfo(cipher.alphabet);
+        const symbols = info.symbols;
+        if (!symbols.every(c => ATEXT_PATTERN.test(c))) {
+            throw new InvalidRadixError("alphabet has characters not valid in an email local part", cipher.radix);
+        }
+        if ((this.domain === 'encrypt') && !symbols.every(c => HOST_PATTERN.test(c))) {
+            throw new InvalidRadixError("domain encryption requires an alphabet of letters and digits", cipher.radix);
+        }
+        if ((this.shortCipher !== undefined) && (this.shortCipher.alphabet !== cipher.alphabet)) {
+            throw new InvalidRadixError("shortCipher must have the same alphabet as cipher", this.shortCipher.radix);
+        }
+        this.index = info.index;
+        this.padding = symbols[0];
+        this.foldCase = !symbols.some(c => /[A-Z]/.test(c));
+        this.walker = new CycleWalkingCipher(cipher);
+    }
+
+    // Encrypt the characters of text in the alphabet as one numeral string, keeping other characters in place.
+    // encryptable(i) limits the encrypted characters, e.g. to exclude a plus-tag that is kept.
+
+    transformPart(text, encryptable, tweak, isEncrypt) {
+        const chars = Array.from(text);
+        const positions = [];
+        chars.forEach((c, i) => {
+            if (this.index.has(c) && encryptable(i)) {
+                positions.push(i);
+            }
+        });
+        if (positions.length === 0) {
+            return text;
+        }
+        const numerals = positions.map(i => chars[i]).join('');
+        const result = Array.from(this.transformNumerals(numerals, tweak, isEncrypt));
+        positions.forEach((p, i) => {
+            chars[p] = result[i];
+        });
+        return chars.join('');
+    }
+
+    // A string shorter than minLen is padded to minLen and cycle walked until the padding comes back, which is a
+    // permutation of the strings of that length. That takes radix^(minLen - length) cipher calls on average, so
+    // only strings one or two numerals short are walked, and shorter ones go to the shortCipher.
+
+    transformNumerals(numerals, tweak, isEncrypt) {
+        const { minLen, radix } = this.cipher;
+        const n = numerals.length;
+        if (n >= minLen) {
+            return isEncrypt ? this.cipher.encrypt(numerals, tweak) : this.cipher.decrypt(numerals, tweak);
+        }
+        const expected = radix ** (minLen - n);
+        if ((this.short === 'error') || ((expected > WALK_LIMIT) && (this.shortCipher === undefined))) {
+            throw new InvalidLengthError(n, minLen, this.cipher.maxLen);
+        }
+        if (expected > WALK_LIMIT) {
+            return isEncrypt ? this.shortCipher.encrypt(numerals, tweak) : this.shortCipher.decrypt(numerals, tweak);
+        }
+        const pad = this.padding.repeat(minLen - n);
+        const options = {
+            isValid: s => s.endsWith(pad),
+            maxCycles: CYCLE_MARGIN * expected,
+            tweak
+        };
+        const result = isEncrypt ? this.walker.encrypt(numerals + pad, options) : this.walker.decrypt(numerals + pad, options);
+        return result.substring(0, result.length - pad.length);
+    }
+
+    transform(address, tweak, isEncrypt) {
+        if (typeof address !== 'string') {
+            throw new InvalidFormatError("email address must be a string");
+        }
+        if (this.foldCase) {
+            address = address.toLowerCase();
+        }
+        const at = address.lastIndexOf('@');
+        const local = address.substring(0, at);
+        const domain = address.substring(at + 1);
+        if ((at <= 0) || !LOCAL_PATTERN.test(local) || (local.length > MAX_LOCAL_LEN)) {
+            throw new InvalidFormatError(`${address} does not have a valid local part`);
+        }
+        if (!DOMAIN_PATTERN.test(domain) || (domain.length > MAX_DOMAIN_LEN)) {
+            throw new InvalidFormatError(`${address} does not have a valid domain`, at + 1);
+        }
+
+        // The plus-tag is everything after the first '+'
+        const plus = local.indexOf('+');
+        const tagStart = (plus === -1) ? local.length : plus;
+        const localResult = this.transformPart(local, i => (this.tag === 'encrypt') || (i < tagStart), tweak, isEncrypt);
+        if (this.domain === 'keep') {
+            return localResult + '@' + domain;
+        }
+
+        // The top-level domain stays in clear so the address still looks real
+        const tld = domain.lastIndexOf('.');
+        const domainResult = this.transformPart(domain.substring(0, tld), () => true, tweak, isEncrypt);
+        return localResult + '@' + domainResult + domain.substring(tld);
+    }
+
+    /* tweak optionally overrides the cipher's tweak for this call */
+    encrypt(plaintext, tweak) {
+        return this.transform(plaintext, tweak, true);
+    }
+
+    /* tweak optionally overrides the cipher's tweak for this call */
+    decrypt(ciphertext, tweak) {
+        return this.transform(ciphertext, tweak, false);
+    }
+}
+
+module.exports = EmailCipher;
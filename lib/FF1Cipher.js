@@ -0,0 +1,255 @@
+/*
+ * Format-Preserving Encryption for FF1
+ *
+ * Copyright (c) 2021 Schoening Consulting LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and limitations under the License.
+ */
+
+const crypto = require('crypto')
+const { MAX_RADIX, resolveAlphabet, validate, decodeInt, encodeInt } = require('./alphabet');
+const { keyBytes: copyKey } = require('./keys');
+const { parseKey } = require('./ff3core');
+const { InvalidKeyError, InvalidTweakError, InvalidRadixError, InvalidLengthError, InvalidFormatError } = require('./errors');
+
+const DOMAIN_MIN =  1000000;  // 1M is required in SP 800-38G Rev 1
+const NUM_ROUNDS =   10;
+const BLOCK_SIZE =   16;      // AES BlockSize
+const MAX_LEN =      2**32 - 1;  // n and t are encoded in 4 bytes of P
+const HEX_PATTERN =  /^([0-9a-fA-F]{2})*$/;
+
+function bigToBytes(big, len) {
+    const bytes = Buffer.alloc(len);
+    for (let i = len - 1; i >= 0 && big > 0n; --i) {
+        bytes[i] = Number(big & 0xFFn);
+        big >>= 8n;
+    }
+    return bytes;
+}
+
+class FF1Cipher {
+
+    constructor( key, tweak, radix=10, options = {}) {
+        // Class FF1Cipher implements the FF1 format-preserving encryption algorithm
+        // radix is either the size of the default alphabet 0-9a-zA-Z, or a custom alphabet string
+        // key is a hex string, Buffer, Uint8Array or secret KeyObject
+        // options.meter is a UsageMeter that counts and limits the calls to encrypt and decrypt
+        ({ radix, alphabet: this.alphabet } = resolveAlphabet(radix));
+        this.radix = radix;
+
+        // parseKey checks the key is 128, 192, or 256 bits and returns the reversed key that FF3 uses, so it is
+        // reversed back in place. The key copies are wiped once the cipher holds the key, or if the arguments
+        // are invalid.
+        const rawKey = copyKey(key);
+        let keyBytes;
+        try {
+            keyBytes = parseKey(rawKey).reverse();
+        } finally {
+            rawKey.fill(0);
+        }
+        try {
+            // Per revised spec, radix^minLength >= 1,000,000
+            this.minLen = Math.ceil(Math.log(DOMAIN_MIN) / Math.log(radix));
+            this.maxLen = MAX_LEN;
+            const algo = `aes-${keyBytes.length * 8}-ecb`;
+
+            // FF1 allows radices in [2, 2^16]
+            if ((radix < 2) || (radix > MAX_RADIX)) {
+                throw new InvalidRadixError("radix must be between 2 and 65536, inclusive", radix);
+            }
+
+            this.tweakBytes = FF1Cipher.parseTweak(tweak);
+            this.tweak = tweak;
+            this.meter = options.meter || null;
+
+            // AES block cipher in ECB mode, chained by hand for the CBC-MAC in PRF
+            // Feistel ciphers use the same func for encrypt/decrypt, so mode is always ENCRYPT_MODE
+
+            this.aesCipher = crypto.createCipheriv(algo, keyBytes, '')
+            this.aesCipher.setAutoPadding(false)
+        } finally {
+            keyBytes.fill(0);
+        }
+    }
+
+    /* factory for a cipher over an ordered alphabet, e.g. uppercase-only or base62 */
+    static withCustomAlphabet(key, tweak, alphabet, options = {}) {
+        return new FF1Cipher(key, tweak, alphabet, options);
+    }
+
+    // FF1 tweaks are variable length, including empty
+
+    static parseTweak(tweak) {
+        if ((typeof tweak !== 'string') || !HEX_PATTERN.test(tweak)) {
+            throw new InvalidTweakError("tweak must be a hex string");
+        }
+        return Buffer.from(tweak, 'hex');
+    }
+
+    // Javascript % is remainder
+
+    static mod(n, m) { return ((n % m) + m) % m; }
+
+    static calculateP(radix, u, n, t) {
+        // P = [1]^1 || [2]^1 || [1]^1 || [radix]^3 || [10]^1 || [u mod 256]^1 || [n]^4 || [t]^4
+        let P = Buffer.alloc(BLOCK_SIZE);
+        P[0] = 1;
+        P[1] = 2;
+        P[2] = 1;
+        P.writeUIntBE(radix, 3, 3);
+        P[6] = NUM_ROUNDS;
+        P[7] = u % 256;
+        P.writeUInt32BE(n, 8);
+        P.writeUInt32BE(t, 12);
+        return P;
+    }
+
+    // PRF is CBC-MAC with a zero IV, i.e. the last block of AES-CBC
+
+    prf(X) {
+        let Y = Buffer.alloc(BLOCK_SIZE);
+        for (let j = 0; j < X.length; j += BLOCK_SIZE) {
+            for (let k = 0; k < BLOCK_SIZE; ++k) {
+                Y[k] ^= X[j + k];
+            }
+            Y = this.aesCipher.update(Y);
+        }
+        return Y;
+    }
+
+    // Calculate y = NUM(S) where S is the first d bytes of R || CIPH(R ⊕ [1]^16) || CIPH(R ⊕ [2]^16) ...
+
+    calculateY(P, Q, d) {
+        const R = this.prf(Buffer.concat([P, Q]));
+        const blocks = [R];
+        for (let j = 1; j * BLOCK_SIZE < d; ++j) {
+            const block = bigToBytes(BigInt(j), BLOCK_SIZE);
+            for (let k = 0; k < BLOCK_SIZE; ++k) {
+                block[k] ^= R[k];
+            }
+            blocks.push(this.aesCipher.update(block));
+        }
+        const S = Buffer.concat(blocks).subarray(0, d);
+        return BigInt('0x' + S.toString('hex'));
+    }
+
+    // Count the call with options.meter, if the cipher has one
+
+    metered(tweak, isEncrypt, run) {
+        if (this.meter === null) {
+            return run();
+        }
+        return this.meter.use((tweak === undefined) ? this.tweak : tweak, isEncrypt, run);
+    }
+
+    /* tweak optionally overrides the constructor tweak for this call */
+    encrypt(plaintext, tweak) {
+        const tweakBytes = (tweak === undefined) ? this.tweakBytes : FF1Cipher.parseTweak(tweak);
+        return this.metered(tweak, true, () => this.feistel(plaintext, true, tweakBytes));
+    }
+
+    /* tweak optionally overrides the constructor tweak for this call */
+    decrypt(ciphertext, tweak) {
+        const tweakBytes = (tweak === undefined) ? this.tweakBytes : FF1Cipher.parseTweak(tweak);
+        return this.metered(tweak, false, () => this.feistel(ciphertext, false, tweakBytes));
+    }
+
+    /*
+     * Release the AES key. encrypt and decrypt throw InvalidKeyError afterwards. The key schedule is held by
+     * OpenSSL, which clears it when the released cipher is garbage collected.
+     */
+    destroy() {
+        this.aesCipher = null;
+    }
+
+    get destroyed() {
+        return this.aesCipher === null;
+    }
+
+    feistel(text, isEncrypt, tweakBytes) {
+        if (this.destroyed) {
+            throw new InvalidKeyError("cipher has been destroyed");
+        }
+        if (typeof text !== 'string') {
+            throw new InvalidFormatError(`message must be a string, not ${(text === null) ? 'null' : typeof text}`);
+        }
+        const numerals = Array.from(text);
+        const n = numerals.length;
+        const t = tweakBytes.length;
+
+        // Check if message length is within minLength and maxLength bounds
+        if ((n < this.minLen) || (n > this.maxLen)) {
+            throw new InvalidLengthError(n, this.minLen, this.maxLen);
+        }
+
+        // Check if the message is formatted in the current alphabet
+        validate(numerals, text, this.radix, this.alphabet);
+
+        // Calculate split point
+        const u = Math.floor(n / 2);
+        const v = n - u;
+
+        // Split the message
+        let A = numerals.slice(0,u);
+        let B = numerals.slice(u);
+
+        // b is the byte length of NUM(B), d the byte length of the round output S
+        const b = Math.ceil(Math.ceil(v * Math.log2(this.radix)) / 8);
+        const d = 4 * Math.ceil(b / 4) + 4;
+
+        const P = FF1Cipher.calculateP(this.radix, u, n, t);
+
+        // Q = T || [0]^((-t-b-1) mod 16) || [i]^1 || [NUM(B)]^b
+        const pad = FF1Cipher.mod(-t - b - 1, BLOCK_SIZE);
+        const Q = Buffer.alloc(t + pad + 1 + b);
+        tweakBytes.copy(Q, 0);
+
+        // Pre-calculate the modulus since it's only one of 2 values,
+        // depending on whether i is even or odd
+
+        const modU = BigInt(this.radix)**BigInt(u);
+        const modV = BigInt(this.radix)**BigInt(v);
+
+        for (let r = 0; r < NUM_ROUNDS; ++r) {
+            const i = isEncrypt ? r : NUM_ROUNDS - 1 - r;
+            const m = (i % 2 === 0) ? u : v;
+
+            // Q depends on B when encrypting and on A when decrypting
+            Q[t + pad] = i;
+            bigToBytes(decodeInt(isEncrypt ? B : A, this.radix, this.alphabet), b).copy(Q, t + pad + 1);
+
+            const y = this.calculateY(P, Q, d);
+
+            let c;
+            if (isEncrypt) {
+                c = decodeInt(A, this.radix, this.alphabet) + y;
+            } else {
+                c = decodeInt(B, this.radix, this.alphabet) - y;
+            }
+            c = FF1Cipher.mod(c, (i % 2 === 0) ? modU : modV);
+
+            // Convert c to numerals using the alphabet and length m
+            const C = encodeInt(c, this.radix, this.alphabet, m);
+
+            if (isEncrypt) {
+                A = B;
+                B = C;
+            } else {
+                B = A;
+                A = C;
+            }
+        }
+        return A.concat(B).join('');
+    }
+}
+
+module.exports = FF1Cipher;
@@ -16,381 +16,139 @@
  */
 
 const crypto = require('crypto')
+const { resolveAlphabet } = require('./alphabet');
+const { keyBytes: copyKey, hmacTweak } = require('./keys');
+const { InvalidKeyError } = require('./errors');
+const core = require('./ff3core');
 
-const DOMAIN_MIN =  1000000;  // 1M is currently recommended in FF3-1
-const NUM_ROUNDS =   8;
-const BLOCK_SIZE =   16;      // AES BlockSize
-const TWEAK_LEN =    8;       // Original FF3 64-bit tweak length
-const TWEAK_LEN_NEW =7;       // FF3-1 56-bit tweak length
-const HALF_TWEAK_LEN = TWEAK_LEN/2;
-const MAX_RADIX =    36;      // BigInt supports radix 2..36
-
-function reverseString(s) {
-    return s.split('').reverse().join('');
-}
-
-// We use Number.parseInt unless length of A or B is gt 9
-
-function convertToBigInt(value, radix) { // value: string
-    let size = 10
-    let factor = BigInt(radix) ** BigInt(size)
-    let i = value.length % size || size
-    let parts = [value.slice(0, i)];
-
-    while (i < value.length) parts.push(value.slice(i, i += size));
-
-    return parts.reduce((r, v) => r * factor + BigInt(parseInt(v, radix)), 0n);
-}
-
-function bigToUint8Array(big) {
-    if (big < 0n) {
-        const bits = (BigInt(big.toString(2).length) / 8n + 1n) * 8n
-        const prefix = 1n << bits
-        big += prefix
-    }
-    let hex = big.toString(16)
-    if (hex.length % 2) {
-        hex = '0' + hex
-    }
-    const len = hex.length / 2
-    const u8 = new Uint8Array(len)
-    let i = 0
-    let j = 0
-    while (i < len) {
-        u8[i] = parseInt(hex.slice(j, j + 2), 16)
-        i += 1
-        j += 2
-    }
-    return u8;
-}
+const HASH_KEY_MIN = 16;      // bytes in a deriveTweak hash key
 
 class FF3Cipher {
 
-    constructor( key, tweak, radix=10) {
+    constructor( key, tweak, radix=10, options = {}) {
         // Class FF3Cipher implements the FF3 format-preserving encryption algorithm
+        // radix is either the size of the default alphabet 0-9a-zA-Z, or a custom alphabet string
+        // key is a hex string, Buffer, Uint8Array or secret KeyObject
+        // options.meter is a UsageMeter that counts and limits the calls to encrypt and decrypt
+        ({ radix, alphabet: this.alphabet } = resolveAlphabet(radix));
         this.radix = radix;
-        let keyBytes = Buffer.from(key, 'hex').reverse();
 
         // Calculate range of supported message lengths [minLen..maxLen]
-        // radix 10: 6 ... 56, 26: 5 ... 40, 36: 4 .. 36
+        ({ minLen: this.minLen, maxLen: this.maxLen } = core.lengthBounds(radix));
 
-        // Per revised spec, radix^minLength >= 1,000,000
-        this.minLen = Math.ceil(Math.log(DOMAIN_MIN) / Math.log(radix));
-
-        // We simplify the specs log[radix](2^96) to 96/log2(radix) using the log base change rule
-        this.maxLen = (2 * Math.floor(Math.log(2**96)/Math.log(radix)));
-
-        const keyLen = keyBytes.length;
-
-        // Check if the key is 128, 192, or 256 bits = 16, 24, or 32 bytes
-        let algo = 'unknown'
-        switch (keyBytes.length) {
-            case 16:
-                algo = "aes-128-ecb";
-                break;
-            case 24:
-                algo = "aes-192-ecb";
-                break;
-            case 32:
-                algo = "aes-256-ecb";
-                break;
-            default:
-                throw("key length " + keyLen + " but must be 128, 192, or 256 bits");
-        }
-
-        // While FF3 allows radices in [2, 2^16], there is a practical limit to 36 (alphanumeric)
-        // because Java BigInt only supports up to base 36.
-        if ((radix < 2) || (radix > MAX_RADIX)) {
-            throw ("radix must be between 2 and 36, inclusive");
-        }
-
-        // Make sure 2 <= minLength <= maxLength < 2*floor(log base radix of 2^96) is satisfied
-        if ((this.minLen < 2) || (this.maxLen < this.minLen)) {
-            // ||((float) this.maxLen > (192 / Math.log2((float)(radix))))){
-            throw ("minLen or maxLen invalid, adjust your radix");
-        }
-
-        this.tweakBytes = Buffer.from(tweak, 'hex');
-		if (this.tweakBytes.length == TWEAK_LEN_NEW) {
-			this.tweakBytes = FF3Cipher.calculateTweak64_FF3_1(this.tweakBytes);
-		}
+        this.tweakBytes = FF3Cipher.parseTweak(tweak);
+        this.tweak = tweak;
+        this.meter = options.meter || null;
 
         // AES block cipher in ECB mode with the block size derived based on the length of the key
         // Always use the reversed key since Encrypt and Decrypt call cipher expecting that
         // Feistel ciphers use the same func for encrypt/decrypt, so mode is always ENCRYPT_MODE
+        // The key copies made here are wiped once the cipher holds the key.
 
-        this.aesCipher = crypto.createCipheriv(algo, keyBytes, '')
+        const rawKey = copyKey(key);
+        let keyBytes;
+        try {
+            keyBytes = core.parseKey(rawKey);
+        } finally {
+            rawKey.fill(0);
+        }
+        const algo = `aes-${keyBytes.length * 8}-ecb`;
+        try {
+            this.aesCipher = crypto.createCipheriv(algo, keyBytes, '')
+        } finally {
+            keyBytes.fill(0);
+        }
         this.aesCipher.setAutoPadding(false)
     }
 
-    // Javascript % is remainder
-
-    static mod(n, m) { return ((n % m) + m) % m; }
-
-    static calculateP(i, radix, W, B) {
-
-        let P = new Uint8Array(BLOCK_SIZE);     // P is always 16 bytes, zero initialized
-
-        // Calculate P by XORing W, i into the first 4 bytes of P
-        // i only requires 1 byte, rest are 0 padding bytes
-        // Anything XOR 0 is itself, so only need to XOR the last byte
+    /* factory for a cipher over an ordered alphabet, e.g. uppercase-only or base62 */
+    static withCustomAlphabet(key, tweak, alphabet, options = {}) {
+        return new FF3Cipher(key, tweak, alphabet, options);
+    }
 
-        P[0] = W[0];
-        P[1] = W[1];
-        P[2] = W[2];
-        P[3] = (W[3] ^ i);
+    // Javascript % is remainder
 
-        // The remaining 12 bytes of P are copied from reverse(B) with padding
+    static mod(n, m) { return core.mod(n, m); }
 
-        B = reverseString(B);
-        let big = convertToBigInt(B, radix);
-        let bBytes = bigToUint8Array(big);
-        P.set(bBytes, BLOCK_SIZE-bBytes.length);
-        // console.log("round: %d W: %s P: %s", i, W.toString('hex'), P.toString());
-        return P;
+    static calculateP(i, radix, W, B, alphabet) {
+        return core.calculateP(i, radix, W, B, alphabet);
     }
 
     static calculateTweak64_FF3_1(tweak56) {
-        let tweak64 = Buffer.alloc(8);
-        tweak64[0] = tweak56[0];
-        tweak64[1] = tweak56[1];
-        tweak64[2] = tweak56[2];
-        tweak64[3] = (tweak56[3] & 0xF0);
-        tweak64[4] = tweak56[4];
-        tweak64[5] = tweak56[5];
-        tweak64[6] = tweak56[6];
-        tweak64[7] = ((tweak56[3] & 0x0F) << 4);
-
-        //console.log("orig tweak: %s new tweak: %s %s", tweak56.toString('hex'), tweak64.slice(0,4).toString('hex'), 
-        //    tweak64.slice(4,8).toString('hex'));
-        return tweak64;
+        return Buffer.from(core.calculateTweak64_FF3_1(tweak56));
     }
 
+    // Convert a hex tweak to bytes, expanding a 56-bit FF3-1 tweak to 64 bits
 
-    /* convenience method to override tweak */
-    ///encrypt(plaintext, tweak) {
-    //    this.tweakBytes = HexStringToByteArray(tweak);
-    //    return encrypt(plaintext);
-    //}
-
-    encrypt(plaintext) {
-        const n = plaintext.length;
-
-        // Check if message length is within minLength and maxLength bounds
-        if ((n < this.minLen) || (n > this.maxLen)) {
-            throw `message length ${n} is not within min ${this.minLen} and max ${this.maxLen} bounds`;
-        }
-
-        // Make sure the given the length of tweak in bits is 56 or 64
-        if ((this.tweakBytes.length !== TWEAK_LEN) && (this.tweakBytes.length !== TWEAK_LEN_NEW)) {
-            throw `tweak length ${this.tweakBytes.length} is invalid: tweak must be 56 or 64 bits`
-        }
+    static parseTweak(tweak) {
+        return Buffer.from(core.parseTweak(tweak));
+    }
 
-        // Check if the plaintext message is formatted in the current radix
-        // ToDo: replace this as its too expensive to check every time
+    /*
+     * Derive a 56-bit FF3-1 tweak from context values such as table, column and tenant ID,
+     * using HMAC-SHA256 with hashKey. Each value is length-prefixed, so ("ab", "c") and
+     * ("a", "bc") derive different tweaks. hashKey is a key of at least 128 bits, in the same
+     * forms as the cipher key, and InvalidKeyError is thrown for anything else.
+     */
+    static deriveTweak(hashKey, ...context) {
+        const keyBytes = copyKey(hashKey);
         try {
-            // convertToBigInt(plaintext, this.radix)
-        } catch (ex) {
-            throw `Plaintext ${plaintext} is not supported in the current radix ${this.radix} ${ex}`;
-        }
-
-        // Calculate split point
-        const u = Math.ceil(n / 2.0);
-        const v = n - u;
-
-        // Split the message
-        let A = plaintext.substring(0,u);
-        let B = plaintext.substring(u);
-        // console.log("r %d A %s B %s", this.radix, A, B);
-
-        // Split the tweak
-        const Tl = this.tweakBytes.slice(0,HALF_TWEAK_LEN);
-        const Tr = this.tweakBytes.slice(HALF_TWEAK_LEN, TWEAK_LEN);
-
-        // P is always 16 bytes
-        let P;
-
-        // Pre-calculate the modulus since it's only one of 2 values,
-        // depending on whether i is even or odd
-
-        const modU = BigInt(this.radix)**BigInt(u);
-        const modV = BigInt(this.radix)**BigInt(v);
-
-        // Note: Use BigInt with the ** instead of Math.pow(10,20) which returns a float may incorrectly round result 
-        // greater than Number.MAX_SAFE_INTEGER.
-
-        // console.log("u %d v %d modU: %d modV: %d", u, v, modU, modV);
-        // console.log("tL: %s tR: %s", Tl.toString('hex'), Tr.toString('hex'));
-
-        for (let i = 0; i < NUM_ROUNDS; ++ i) {
-            let m;
-            let c;
-            let W;
-
-            // Determine alternating Feistel round side, right or left
-            if (i % 2 === 0) {
-                m = u;
-                W = Tr;
-            } else {
-                m = v;
-                W = Tl;
-            }
-
-            // P is fixed-length 16 bytes
-            P = FF3Cipher.calculateP( i, this.radix, W, B);
-            P.reverse();
-
-            // Calculate S by operating on P in place
-            let S = this.aesCipher.update(P);
-
-            S.reverse();
-            // console.log("\tS: %s", S.toString('hex'));
-
-            let y = BigInt('0x' + S.toString('hex'));
-
-            // Calculate c
-            try {
-                //c = BigInt(reverseString(A), this.radix);
-                c = convertToBigInt(reverseString(A), this.radix);
-            } catch (ex) {
-                throw("string A is not within base/radix " + this.radix);
+            if (keyBytes.length < HASH_KEY_MIN) {
+                throw new InvalidKeyError(`hash key length ${keyBytes.length} but must be at least 128 bits`, keyBytes.length);
             }
-
-            c = c + y;
-
-            if (i % 2 === 0) {
-                c = FF3Cipher.mod(c, modU);
-            } else {
-                c = FF3Cipher.mod(c, modV);
-            }
-
-            // console.log("\tm: %d A: %s c: %d y: %d", m, A, c, y);
-
-            // Convert c to sting using radix and length m
-            let C = c.toString(this.radix);
-            C = reverseString(C);
-            C = C + "00000000".substring(0,m-C.length);
-
-            // Final steps
-            A = B;
-            B = C;
-            // console.log("A: %s B: %s", A, B);
+            return hmacTweak(keyBytes, context);
+        } finally {
+            keyBytes.fill(0);
         }
-        return A+B;
     }
 
-    /* convenience method to override tweak */
-/*
-    decrypt(ciphertext, tweak) throws BadPaddingException, IllegalBlockSizeException {
-        this.tweakBytes = HexStringToByteArray(tweak);
-        return decrypt(ciphertext);
+    /*
+     * Release the AES key. encrypt and decrypt throw InvalidKeyError afterwards. The key schedule is held by
+     * OpenSSL, which clears it when the released cipher is garbage collected.
+     */
+    destroy() {
+        this.aesCipher = null;
     }
-*/
 
-    decrypt(ciphertext) {
-        let n = ciphertext.length;
+    get destroyed() {
+        return this.aesCipher === null;
+    }
 
-        // Check if message length is within minLength and maxLength bounds
-        if ((n < this.minLen) || (n > this.maxLen)) {
-            throw `message length ${n} is not within min ${this.minLen} and max ${this.maxLen} bounds`;
-        }
+    // Run the Feistel rounds with Node's AES
 
-        // Make sure the given the length of tweak in bits is 56 or 64
-        if ((this.tweakBytes.length !== TWEAK_LEN) && (this.tweakBytes.length !== TWEAK_LEN_NEW)) {
-            throw `tweak length ${this.tweakBytes.length} is invalid: tweak must be 56 or 64 bits`
+    feistel(text, tweak, isEncrypt) {
+        if (this.destroyed) {
+            throw new InvalidKeyError("cipher has been destroyed");
         }
-
-        // Check if the ciphertext message is formatted in the current radix
-        // ToDo: replace this as its too expensive to check every time
-        try {
-            //BigInt(ciphertext, this.radix);
-            //convertToBigInt(ciphertext, this.radix);
-        } catch (ex) {
-            throw ex;
-            //throw "The ciphertext is not supported in the current radix %d", this.radix
+        const tweakBytes = (tweak === undefined) ? this.tweakBytes : FF3Cipher.parseTweak(tweak);
+        const rounds = core.feistel(this, text, tweakBytes, isEncrypt);
+        let step = rounds.next();
+        while (!step.done) {
+            step = rounds.next(this.aesCipher.update(step.value));
         }
+        return step.value;
+    }
 
-        // Calculate split point
-        const u = Math.ceil(n / 2.0);
-        const v = n - u;
-
-        // Split the message
-        let A = ciphertext.substring(0,u);
-        let B = ciphertext.substring(u);
-
-        // Split the tweak
-        const Tl = this.tweakBytes.slice(0,HALF_TWEAK_LEN);
-        const Tr = this.tweakBytes.slice(HALF_TWEAK_LEN, TWEAK_LEN);
-
-        // P is always 16 bytes
-        let P;
-
-        // Pre-calculate the modulus since it's only one of 2 values,
-        // depending on whether i is even or odd
-
-        const modU = BigInt(this.radix)**BigInt(u);
-        const modV = BigInt(this.radix)**BigInt(v);
-        // console.log("u %d v %d modU: %d modV: %d", u, v, modU, modV);
-        // console.log("tL: %s tR: %s", Tl.toString('hex'), Tr.toString('hex'));
-
-        for (let i = (NUM_ROUNDS-1); i >= 0; --i) {
-            let m;
-            let c;
-            let W;
-
-            // Determine alternating Feistel round side, right or left
-            if (i % 2 === 0) {
-                m = u;
-                W = Tr;
-            } else {
-                m = v;
-                W = Tl;
-            }
-
-            // P is fixed-length 16 bytes
-            P = FF3Cipher.calculateP( i, this.radix, W, A);
-            P.reverse();
-
-            // Calculate S by operating on P in place
-            let S = this.aesCipher.update(P);
-            S.reverse();
-            // console.log("\tS: %s", S.toString('hex'));
-
-            let y = BigInt('0x' + S.toString('hex'));
-
-            // Calculate c
-            try {
-                c = convertToBigInt(reverseString(B), this.radix);
-                // console.log("\tin: %s out: %d", reverseString(B).toString('hex'), c);
-            } catch (ex) {
-                throw("string B is not within base/radix " + this.radix);
-            }
-
-            c = c - y;
-
-            if (i % 2 === 0) {
-                c = FF3Cipher.mod(c, modU); //c % modU;
-            } else {
-                c = FF3Cipher.mod(c, modV); //c % modV;
-            }
-
-            // console.log("\tm: %d B: %s c: %d y: %d", m, B, c, y);
-
-            // Convert c to sting using radix and length m
-            let C = c.toString(this.radix);
-            C = reverseString(C);
-            C = C + "00000000".substring(0,m-C.length);
+    // Count the call with options.meter, if the cipher has one, under the tweak's id, so a 56-bit tweak and its
+    // 64-bit expansion are counted together
 
-            // Final steps
-            B = A;
-            A = C;
-            // console.log("A: %s B: %s", A, B);
+    metered(tweak, isEncrypt, run) {
+        if (this.meter === null) {
+            return run();
         }
-        return A+B;
+        const tweakBytes = (tweak === undefined) ? this.tweakBytes : core.parseTweak(tweak);
+        return this.meter.use(core.tweakId(tweakBytes), isEncrypt, run);
     }
 
+    /* tweak optionally overrides the constructor tweak for this call */
+    encrypt(plaintext, tweak) {
+        return this.metered(tweak, true, () => this.feistel(plaintext, tweak, true));
+    }
 
+    /* tweak optionally overrides the constructor tweak for this call */
+    decrypt(ciphertext, tweak) {
+        return this.metered(tweak, false, () => this.feistel(ciphertext, tweak, false));
+    }
 }
 
 module.exports = FF3Cipher;
-
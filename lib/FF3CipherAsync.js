@@ -0,0 +1,122 @@
+/*
+ * Format-Preserving Encryption for FF3 with Web Crypto, for browsers and edge workers
+ *
+ * Copyright (c) 2021 Schoening Consulting LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and limitations under the License.
+ */
+
+const { resolveAlphabet } = require('./alphabet');
+const { InvalidKeyError } = require('./errors');
+const core = require('./ff3core');
+
+const ZERO_IV = new Uint8Array(core.BLOCK_SIZE);
+
+class FF3CipherAsync {
+
+    constructor( key, tweak, radix=10, options = {}) {
+        // Class FF3CipherAsync implements FF3 with the same results as FF3Cipher, using crypto.subtle
+        // for AES and Uint8Array instead of Buffer. encrypt and decrypt return promises.
+        // options.subtle defaults to globalThis.crypto.subtle; on Node 16 and 18, where it is not a global,
+        //   pass require('crypto').webcrypto.subtle
+        // options.meter is a UsageMeter that counts and limits the calls to encrypt and decrypt
+        // key is a hex string or Uint8Array
+        ({ radix, alphabet: this.alphabet } = resolveAlphabet(radix));
+        this.radix = radix;
+        ({ minLen: this.minLen, maxLen: this.maxLen } = core.lengthBounds(radix));
+        this.tweakBytes = core.parseTweak(tweak);
+        this.tweak = tweak;
+        this.meter = options.meter || null;
+
+        // Web Crypto has no ECB mode, but AES-CBC with a zero IV encrypts the first block the same as ECB.
+        // The key is imported once as non-extractable, and a failed import is reported by encrypt and decrypt.
+        // importKey copies the key bytes before returning, so they are wiped straight away.
+        const subtle = options.subtle || (globalThis.crypto && globalThis.crypto.subtle);
+        if (!subtle) {
+            throw new TypeError("Web Crypto crypto.subtle is not available");
+        }
+        this.subtle = subtle;
+        const keyBytes = core.parseKey(key);
+        try {
+            this.aesKey = subtle.importKey('raw', keyBytes, 'AES-CBC', false, ['encrypt']);
+        } finally {
+            keyBytes.fill(0);
+        }
+        this.aesKey.catch(() => {});
+    }
+
+    /* factory for a cipher over an ordered alphabet, e.g. uppercase-only or base62 */
+    static withCustomAlphabet(key, tweak, alphabet, options = {}) {
+        return new FF3CipherAsync(key, tweak, alphabet, options);
+    }
+
+    // AES encryption of a single block. CBC padding adds a second block, which is dropped.
+
+    async aes(key, P) {
+        const C = await this.subtle.encrypt({ name: 'AES-CBC', iv: ZERO_IV }, key, P);
+        return new Uint8Array(C, 0, core.BLOCK_SIZE);
+    }
+
+    /* Release the AES key. encrypt and decrypt reject with InvalidKeyError afterwards. */
+    destroy() {
+        this.aesKey = null;
+    }
+
+    get destroyed() {
+        return this.aesKey === null;
+    }
+
+    async feistel(text, tweak, isEncrypt) {
+        if (this.destroyed) {
+            throw new InvalidKeyError("cipher has been destroyed");
+        }
+        const tweakBytes = (tweak === undefined) ? this.tweakBytes : core.parseTweak(tweak);
+        const rounds = core.feistel(this, text, tweakBytes, isEncrypt);
+        let step = rounds.next();
+        const key = await this.aesKey;
+        while (!step.done) {
+            step = rounds.next(await this.aes(key, step.value));
+        }
+        return step.value;
+    }
+
+    // Count the call with options.meter, if the cipher has one. The use is reserved while the call runs, so
+    // calls running together can't exceed the hard limit, and counted once it succeeds.
+
+    async metered(tweak, isEncrypt, run) {
+        if (this.meter === null) {
+            return run();
+        }
+        const id = core.tweakId((tweak === undefined) ? this.tweakBytes : core.parseTweak(tweak));
+        this.meter.reserve(id);
+        let result;
+        try {
+            result = await run();
+        } finally {
+            this.meter.release(id);
+        }
+        this.meter.record(id, isEncrypt);
+        return result;
+    }
+
+    /* tweak optionally overrides the constructor tweak for this call */
+    encrypt(plaintext, tweak) {
+        return this.metered(tweak, true, () => this.feistel(plaintext, tweak, true));
+    }
+
+    /* tweak optionally overrides the constructor tweak for this call */
+    decrypt(ciphertext, tweak) {
+        return this.metered(tweak, false, () => this.feistel(ciphertext, tweak, false));
+    }
+}
+
+module.exports = FF3CipherAsync;
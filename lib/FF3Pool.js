@@ -0,0 +1,260 @@
+/*
+ * Pool of worker threads for encrypting and decrypting large batches off the event loop
+ *
+ * Copyright (c) 2021 Schoening Consulting LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and limitations under the License.
+ */
+
+const crypto = require('crypto');
+const os = require('os');
+const path = require('path');
+const { Worker } = require('worker_threads');
+const FF3Cipher = require('./FF3Cipher');
+const { keyBytes: copyKey } = require('./keys');
+const { tweakId } = require('./ff3core');
+const errors = require('./errors');
+
+const BATCH_SIZE =   1000;    // values posted to a worker at a time
+const WORKER_PATH =  path.join(__dirname, 'ff3worker.js');
+
+function defaultSize() {
+    return (typeof os.availableParallelism === 'function') ? os.availableParallelism() : os.cpus().length;
+}
+
+// Rebuild an error posted by a worker as its class in errors.js, with the index of the value that failed
+
+function rebuildError(body, index) {
+    const ErrorClass = errors[body.name] || Error;
+    const error = new Error(body.message);
+    Object.setPrototypeOf(error, ErrorClass.prototype);
+    Object.assign(error, body);
+    error.index = index;
+    return error;
+}
+
+class FF3Pool {
+
+    constructor(key, tweak, radix=10, options = {}) {
+        // Class FF3Pool encrypts and decrypts arrays of values on worker threads, so large batches don't block
+        // the event loop. It has the same key, tweak and radix as FF3Cipher, and each worker holds one FF3Cipher.
+        // encryptMany and decryptMany return promises of the results in input order.
+        // options.size is the number of workers (default the number of CPUs)
+        // options.batchSize is the number of values posted to a worker at a time (default 1000)
+        // options.meter is a UsageMeter that counts and limits the values encrypted and decrypted. The values of a
+        //   call are reserved when it is made, and counted as the workers complete them.
+        // Idle workers don't keep the process alive, but destroy() should be called when the pool is done.
+
+        // Validate the key, tweak and radix here, so errors are thrown by the constructor
+        const cipher = new FF3Cipher(key, tweak, radix);
+        ({ radix: this.radix, alphabet: this.alphabet, minLen: this.minLen, maxLen: this.maxLen } = cipher);
+        cipher.destroy();
+        this.tweak = tweak;
+        this.meter = options.meter || null;
+
+        // Workers are given the key as a KeyObject, which is passed to them without exposing the key bytes
+        const rawKey = copyKey(key);
+        try {
+            this.key = crypto.createSecretKey(rawKey);
+        } finally {
+            rawKey.fill(0);
+        }
+
+        this.size = options.size || defaultSize();
+        this.batchSize = options.batchSize || BATCH_SIZE;
+        if (!Number.isInteger(this.size) || (this.size < 1) || !Number.isInteger(this.batchSize) || (this.batchSize < 1)) {
+            throw new TypeError("size and batchSize must be positive integers");
+        }
+        this.workers = new Set();
+        this.idle = [];
+        this.queue = [];
+        for (let i = 0; i < this.size; ++i) {
+            this.spawn();
+        }
+    }
+
+    spawn() {
+        const worker = new Worker(WORKER_PATH, {
+            workerData: { key: this.key, tweak: this.tweak, radix: this.alphabet }
+        });
+        worker.unref();
+        worker.on('message', (message) => {
+            if (this.destroyed || !this.workers.has(worker)) {
+                return;
+            }
+            const task = worker.task;
+            worker.task = null;
+            worker.unref();
+            this.idle.push(worker);
+            this.complete(task, message);
+            this.dispatch();
+        });
+        worker.on('error', err => this.lost(worker, err));
+        worker.on('exit', code => this.lost(worker, new Error(`worker exited with code ${code}`)));
+        this.workers.add(worker);
+        this.idle.push(worker);
+    }
+
+    // A worker that crashes or exits while in the pool fails its batch and is replaced. The exit that follows
+    // an error, and the exits of destroy(), are ignored.
+
+    lost(worker, err) {
+        if (!this.workers.delete(worker)) {
+            return;
+        }
+        this.idle = this.idle.filter(w => w !== worker);
+        if (worker.task) {
+            this.fail(worker.task.job, err);
+        }
+        if (!this.destroyed) {
+            this.spawn();
+            this.dispatch();
+        }
+    }
+
+    // Post queued batches to idle workers, keeping a busy worker referenced so the process waits for it
+
+    dispatch() {
+        while ((this.idle.length > 0) && (this.queue.length > 0)) {
+            const worker = this.idle.pop();
+            const task = this.queue.shift();
+            try {
+                worker.postMessage({ values: task.values, tweak: task.tweak, isEncrypt: task.isEncrypt });
+            } catch (ex) {
+                // A value that can't be cloned, such as a function, fails its job and the worker stays idle
+                this.idle.push(worker);
+                this.fail(task.job, ex);
+                continue;
+            }
+            worker.task = task;
+            worker.ref();
+        }
+    }
+
+    complete(task, { results, index, error }) {
+        const job = task.job;
+        this.used(job, (error !== undefined) ? index : results.length);
+        if (job.failed) {
+            return;
+        }
+        if (error !== undefined) {
+            this.fail(job, rebuildError(error, task.start + index));
+            return;
+        }
+        for (let i = 0; i < results.length; ++i) {
+            job.results[task.start + i] = results[i];
+        }
+        if (--job.pending === 0) {
+            job.resolve(job.results);
+        }
+    }
+
+    // The first error rejects the job, and its batches that have not started are dropped
+
+    fail(job, err) {
+        if (!job.failed) {
+            job.failed = true;
+            if (job.tweakId !== null) {
+                this.meter.release(job.tweakId, job.reserved);
+                job.reserved = 0;
+            }
+            this.queue = this.queue.filter(task => task.job !== job);
+            job.reject(err);
+        }
+    }
+
+    // Count the values a worker has transformed with options.meter, against the uses reserved by run().
+    // Values completed after their job failed were still transformed, so they are counted too.
+
+    used(job, count) {
+        if (job.tweakId === null) {
+            return;
+        }
+        const reserved = Math.min(count, job.reserved);
+        job.reserved -= reserved;
+        this.meter.release(job.tweakId, reserved);
+        for (let i = 0; i < count; ++i) {
+            this.meter.record(job.tweakId, job.isEncrypt);
+        }
+    }
+
+    run(values, tweak, isEncrypt) {
+        return new Promise((resolve, reject) => {
+            if (this.destroyed) {
+                throw new errors.InvalidKeyError("pool has been destroyed");
+            }
+            values = Array.from(values);
+            const job = {
+                results: new Array(values.length), pending: 0, failed: false, resolve, reject,
+                isEncrypt, tweakId: null, reserved: 0
+            };
+            if (this.meter !== null) {
+                job.tweakId = tweakId(FF3Cipher.parseTweak((tweak === undefined) ? this.tweak : tweak));
+                this.meter.reserve(job.tweakId, values.length);
+                job.reserved = values.length;
+            }
+            for (let start = 0; start < values.length; start += this.batchSize) {
+                this.queue.push({ job, start, values: values.slice(start, start + this.batchSize), tweak, isEncrypt });
+                ++job.pending;
+            }
+            if (job.pending === 0) {
+                resolve(job.results);
+            }
+            this.dispatch();
+        });
+    }
+
+    /*
+     * Encrypt an array or iterable of values, returning a promise of the ciphertexts in the same order.
+     * If a value fails, the promise is rejected with its error, which has the index of the value.
+     * tweak optionally overrides the constructor tweak for every value.
+     */
+    encryptMany(plaintexts, tweak) {
+        return this.run(plaintexts, tweak, true);
+    }
+
+    /* Decrypt an array or iterable of values, as encryptMany does */
+    decryptMany(ciphertexts, tweak) {
+        return this.run(ciphertexts, tweak, false);
+    }
+
+    /*
+     * Stop the workers and release the key, returning a promise that resolves once the workers have exited.
+     * Pending calls are rejected, and encryptMany and decryptMany reject with InvalidKeyError afterwards.
+     */
+    destroy() {
+        if (this.destroyed) {
+            return Promise.resolve();
+        }
+        this.key = null;
+        const err = new errors.InvalidKeyError("pool has been destroyed");
+        for (const task of this.queue) {
+            this.fail(task.job, err);
+        }
+        const workers = Array.from(this.workers);
+        for (const worker of workers) {
+            if (worker.task) {
+                this.fail(worker.task.job, err);
+            }
+        }
+        this.workers.clear();
+        this.idle = [];
+        this.queue = [];
+        return Promise.all(workers.map(worker => worker.terminate())).then(() => undefined);
+    }
+
+    get destroyed() {
+        return this.key === null;
+    }
+}
+
+module.exports = FF3Pool;
@@ -0,0 +1,295 @@
+/*
+ * Streaming field encryption for CSV and NDJSON records
+ *
+ * Copyright (c) 2021 Schoening Consulting LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and limitations under the License.
+ */
+
+const { Transform } = require('stream');
+const { StringDecoder } = require('string_decoder');
+const { InvalidFormatError } = require('./errors');
+
+const FORMATS = ['csv', 'ndjson', 'lines'];
+const ERROR_POLICIES = ['skip', 'pass', 'abort'];
+const MAX_RECORD_LENGTH = 1024 * 1024;
+
+// Split a CSV record into fields, per RFC 4180 quoting. A quote only opens a quoted field at the start of
+// the field, and is an ordinary character elsewhere, as in 12"3.
+
+function parseCSV(record, delimiter) {
+    const fields = [];
+    let field = '';
+    let quoted = false;
+    let fieldStart = true;
+    for (let i = 0; i < record.length; ++i) {
+        const c = record[i];
+        if (quoted) {
+            if (c === '"' && record[i + 1] === '"') {
+                field += '"';
+                ++i;
+            } else if (c === '"') {
+                quoted = false;
+            } else {
+                field += c;
+            }
+        } else if (c === '"' && fieldStart) {
+            quoted = true;
+        } else if (c === delimiter) {
+            fields.push(field);
+            field = '';
+            fieldStart = true;
+            continue;
+        } else {
+            field += c;
+        }
+        fieldStart = false;
+    }
+    if (quoted) {
+        throw new InvalidFormatError("unterminated quoted field");
+    }
+    fields.push(field);
+    return fields;
+}
+
+function formatCSV(fields, delimiter) {
+    return fields.map(f => {
+        if (f.includes(delimiter) || /["\r\n]/.test(f)) {
+            return '"' + f.replace(/"/g, '""') + '"';
+        }
+        return f;
+    }).join(delimiter);
+}
+
+class FieldEncryptStream extends Transform {
+
+    constructor(options) {
+        // Class FieldEncryptStream encrypts or decrypts fields of CSV or NDJSON records as they stream through.
+        // options.fields maps a column name or index (CSV) or dotted property path (NDJSON) to a cipher, or to
+        //   { cipher, tweak } to override the cipher's tweak. Any object with encrypt and decrypt works as a cipher.
+        // options.format is 'csv' (default), 'ndjson', or 'lines' where each line is one value for the single field
+        // options.decrypt decrypts instead of encrypting
+        // options.errorPolicy is what happens to a record that fails:
+        //   'abort' (default) emits 'error', 'skip' drops the record, 'pass' writes it unchanged.
+        //   Skipped and passed records emit 'recordError' with the error and record number.
+        // options.header, for CSV, treats the first record as column names and writes it unchanged (default true)
+        // options.delimiter, for CSV, is the field separator (default ',')
+        // options.maxRecordLength is the longest record in characters (default 1 MiB). A longer record, such as
+        //   one opened by an unterminated quote, fails up to the first newline after its start, and the records
+        //   after that newline are read again.
+        super();
+        this.format = options.format || 'csv';
+        this.errorPolicy = options.errorPolicy || 'abort';
+        if (!FORMATS.includes(this.format)) {
+            throw new TypeError(`unknown format ${this.format}`);
+        }
+        if (!ERROR_POLICIES.includes(this.errorPolicy)) {
+            throw new TypeError(`unknown error policy ${this.errorPolicy}`);
+        }
+        this.isEncrypt = !options.decrypt;
+        this.header = (options.header !== undefined) ? options.header : (this.format === 'csv');
+        this.delimiter = options.delimiter || ',';
+        this.maxRecordLength = options.maxRecordLength || MAX_RECORD_LENGTH;
+        this.fields = Object.entries(options.fields).map(([field, config]) => {
+            const { cipher, tweak } = (typeof config.encrypt === 'function') ? { cipher: config } : config;
+            return { field, cipher, tweak };
+        });
+        if (this.format === 'lines' && this.fields.length !== 1) {
+            throw new TypeError("lines format requires exactly one field");
+        }
+
+        this.decoder = new StringDecoder('utf8');
+        this.buffer = '';
+        this.overflow = false;
+        this.recordNumber = 0;
+        this.columns = null;
+    }
+
+    transformValue(value, field) {
+        if (typeof value !== 'string') {
+            throw new InvalidFormatError(`field ${field.field} is missing or not a string`);
+        }
+        return this.isEncrypt ? field.cipher.encrypt(value, field.tweak) : field.cipher.decrypt(value, field.tweak);
+    }
+
+    // Resolve CSV field names to column indexes from the header record
+
+    columnIndex(field) {
+        if (this.columns !== null && this.columns.includes(field)) {
+            return this.columns.indexOf(field);
+        }
+        if (/^[0-9]+$/.test(field)) {
+            return Number(field);
+        }
+        throw new InvalidFormatError(`unknown column ${field}`);
+    }
+
+    transformRecord(record) {
+        if (this.format === 'lines') {
+            return this.transformValue(record, this.fields[0]);
+        }
+
+        if (this.format === 'ndjson') {
+            const doc = JSON.parse(record);
+            for (const field of this.fields) {
+                // Walk a dotted path such as "customer.ssn" to the object holding the value
+                const path = field.field.split('.');
+                const name = path.pop();
+                const parent = path.reduce((o, p) => (o !== null && typeof o === 'object') ? o[p] : undefined, doc);
+                if (parent === null || typeof parent !== 'object') {
+                    throw new InvalidFormatError(`field ${field.field} is missing or not a string`);
+                }
+                parent[name] = this.transformValue(parent[name], field);
+            }
+            return JSON.stringify(doc);
+        }
+
+        const values = parseCSV(record, this.delimiter);
+        if (this.header && this.columns === null) {
+            this.columns = values;
+            return record;
+        }
+        for (const field of this.fields) {
+            const i = this.columnIndex(field.field);
+            values[i] = this.transformValue(values[i], field);
+        }
+        return formatCSV(values, this.delimiter);
+    }
+
+    // Apply the error policy to a record that failed. The 'abort' policy throws the error with its record number.
+
+    recordFailed(ex, record) {
+        if (this.errorPolicy === 'abort') {
+            ex.recordNumber = this.recordNumber;
+            throw ex;
+        }
+        this.emit('recordError', ex, this.recordNumber);
+        if (this.errorPolicy === 'pass') {
+            this.push(record);
+        }
+    }
+
+    // newline is written after the record, and is empty for a last record that had none
+
+    processRecord(record, newline = '\n') {
+        ++this.recordNumber;
+        if (record.trim() === '') {
+            this.push(record + newline);
+            return;
+        }
+        let result;
+        try {
+            result = this.transformRecord(record);
+        } catch (ex) {
+            this.recordFailed(ex, record + newline);
+            return;
+        }
+        this.push(result + newline);
+    }
+
+    // Process the complete records in the buffer from start. A CSV record ends at a newline outside a quoted
+    // field. Returns the start of the incomplete record left over and whether it ends inside a quoted field.
+
+    takeRecords(start) {
+        const csv = (this.format === 'csv');
+        let quoted = false;
+        let closed = false;
+        let fieldStart = true;
+        for (let i = start; i < this.buffer.length; ++i) {
+            const c = this.buffer[i];
+            if (quoted) {
+                quoted = (c !== '"');
+                closed = !quoted;
+                continue;
+            }
+            if (c === '"' && csv && (fieldStart || closed)) {
+                // A quote opens a quoted field at its start, or right after a closing quote is an escaped ""
+                quoted = true;
+                fieldStart = closed = false;
+                continue;
+            }
+            closed = false;
+            fieldStart = (c === this.delimiter) || (c === '\n');
+            if (c === '\n') {
+                const end = (i > start && this.buffer[i - 1] === '\r') ? i - 1 : i;
+                this.processRecord(this.buffer.substring(start, end));
+                start = i + 1;
+            }
+        }
+        return { start, quoted };
+    }
+
+    processBuffer(flush) {
+        let start = 0;
+        if (this.overflow) {
+            // The rest of a line longer than maxRecordLength, up to the next newline, is dropped or passed
+            const newline = this.buffer.indexOf('\n');
+            start = (newline === -1) ? this.buffer.length : newline + 1;
+            if (this.errorPolicy === 'pass') {
+                this.push(this.buffer.substring(0, start));
+            }
+            this.overflow = (newline === -1);
+        }
+
+        for (;;) {
+            const rest = this.takeRecords(start);
+            this.buffer = this.buffer.substring(rest.start);
+            start = 0;
+            const tooLong = (this.buffer.length > this.maxRecordLength);
+            if (!tooLong && !(flush && rest.quoted)) {
+                break;
+            }
+            // A record that is too long, or still quoted at the end of the input, fails up to the first newline
+            // after its start, and the records after that newline are taken again
+            ++this.recordNumber;
+            const ex = new InvalidFormatError(tooLong ? `record is longer than ${this.maxRecordLength} characters` :
+                "unterminated quoted field");
+            const newline = this.buffer.indexOf('\n');
+            const end = (newline === -1) ? this.buffer.length : newline + 1;
+            this.recordFailed(ex, this.buffer.substring(0, end));
+            this.buffer = this.buffer.substring(end);
+            if (newline === -1) {
+                this.overflow = !flush;
+                break;
+            }
+        }
+        if (flush && this.buffer.length > 0) {
+            const record = this.buffer;
+            this.buffer = '';
+            this.processRecord(record, '');
+        }
+    }
+
+    _transform(chunk, encoding, callback) {
+        this.buffer += (typeof chunk === 'string') ? chunk : this.decoder.write(chunk);
+        try {
+            this.processBuffer(false);
+        } catch (ex) {
+            callback(ex);
+            return;
+        }
+        callback();
+    }
+
+    _flush(callback) {
+        this.buffer += this.decoder.end();
+        try {
+            this.processBuffer(true);
+        } catch (ex) {
+            callback(ex);
+            return;
+        }
+        callback();
+    }
+}
+
+module.exports = FieldEncryptStream;
@@ -0,0 +1,173 @@
+/*
+ * Format-mask encryption that preserves separators and fixed characters
+ *
+ * Copyright (c) 2021 Schoening Consulting LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and limitations under the License.
+ */
+
+const MixedRadixCipher = require('./MixedRadixCipher');
+const { InvalidCharacterError, InvalidFormatError } = require('./errors');
+
+// The alphabet of each placeholder, where null is the cipher's alphabet
+const PLACEHOLDERS = {
+    '#': '0123456789',
+    'A': 'ABCDEFGHIJKLMNOPQRSTUVWXYZ',
+    'a': 'abcdefghijklmnopqrstuvwxyz',
+    '*': null
+};
+const ESCAPE = '\\';
+
+// Parse a mask such as "AA-####-####" into tokens, with null for each variable position and the literal
+// character otherwise, and the alphabets of the variable positions. A backslash makes the next character
+// literal, e.g. "\\#".
+
+function parseMask(mask) {
+    const tokens = [];
+    const alphabets = [];
+    const chars = Array.from(mask);
+    for (let i = 0; i < chars.length; ++i) {
+        if (chars[i] === ESCAPE && i + 1 < chars.length) {
+            tokens.push(chars[++i]);
+        } else if (Object.prototype.hasOwnProperty.call(PLACEHOLDERS, chars[i])) {
+            tokens.push(null);
+            alphabets.push(PLACEHOLDERS[chars[i]]);
+        } else {
+            tokens.push(chars[i]);
+        }
+    }
+    return { tokens, alphabets };
+}
+
+class FormatEncryptor {
+
+    constructor(cipher, pattern) {
+        // Class FormatEncryptor encrypts only the variable positions of a value with cipher,
+        // an FF3Cipher or FF1Cipher. pattern is either a mask string or a RegExp.
+        // In a mask, # is a digit, A an uppercase letter, a a lowercase letter and * a character in the
+        // cipher's alphabet, and every other character is literal. Each position keeps its own alphabet: if
+        // they are all the cipher's alphabet the positions are encrypted by cipher, otherwise by a
+        // MixedRadixCipher over cipher.
+        // A RegExp must match the whole value, and its capture groups are the variable positions, encrypted
+        // together in the cipher's alphabet. A result that no longer matches, e.g. a letter in a [0-9] group,
+        // throws InvalidFormatError, so the groups should only accept the cipher's alphabet.
+        this.cipher = cipher;
+        if (pattern instanceof RegExp) {
+            // hasIndices gives the position of each capture group; a global regex would keep state
+            const flags = pattern.flags.replace(/[gy]/g, '');
+            this.regex = new RegExp(pattern.source, flags.includes('d') ? flags : flags + 'd');
+            this.variableCipher = cipher;
+        } else {
+            const { tokens, alphabets } = parseMask(pattern);
+            const resolved = alphabets.map(a => (a === null) ? cipher.alphabet : a);
+            this.mask = tokens;
+            const single = resolved.every(a => a === cipher.alphabet);
+            this.variableCipher = single ? cipher : new MixedRadixCipher(cipher, resolved);
+        }
+    }
+
+    // Return the code point positions of the variable characters in chars
+
+    variablePositions(text, chars) {
+        const positions = [];
+        if (this.mask) {
+            if (chars.length !== this.mask.length) {
+                throw new InvalidFormatError(`value length ${chars.length} does not match mask length ${this.mask.length}`);
+            }
+            this.mask.forEach((literal, i) => {
+                if (literal === null) {
+                    positions.push(i);
+                } else if (chars[i] !== literal) {
+                    throw new InvalidFormatError(`character '${chars[i]}' at position ${i} does not match '${literal}'`, i);
+                }
+            });
+            return positions;
+        }
+
+        const match = this.regex.exec(text);
+        if ((match === null) || (match.index !== 0) || (match[0].length !== text.length)) {
+            throw new InvalidFormatError(`value does not match ${this.regex}`);
+        }
+
+        // Mark the code units inside any capture group, then convert to code point positions
+        const inGroup = new Uint8Array(text.length);
+        for (let g = 1; g < match.indices.length; ++g) {
+            if (match.indices[g] !== undefined) {
+                inGroup.fill(1, match.indices[g][0], match.indices[g][1]);
+            }
+        }
+        let unit = 0;
+        chars.forEach((c, i) => {
+            if (inGroup[unit]) {
+                positions.push(i);
+            }
+            unit += c.length;
+        });
+        return positions;
+    }
+
+    transform(text, tweak, isEncrypt) {
+        if (typeof text !== 'string') {
+            throw new InvalidFormatError(`value must be a string, not ${(text === null) ? 'null' : typeof text}`);
+        }
+        const chars = Array.from(text);
+        const positions = this.variablePositions(text, chars);
+        const variable = positions.map(i => chars[i]).join('');
+
+        let result;
+        try {
+            const c = this.variableCipher;
+            result = isEncrypt ? c.encrypt(variable, tweak) : c.decrypt(variable, tweak);
+        } catch (ex) {
+            // Report the position in the formatted value rather than in the variable characters
+            if (ex instanceof InvalidCharacterError) {
+                throw new InvalidCharacterError(ex.character, positions[ex.position], ex.radix);
+            }
+            throw ex;
+        }
+
+        Array.from(result).forEach((c, i) => {
+            chars[positions[i]] = c;
+        });
+        const output = chars.join('');
+
+        // A regex result must match with the same capture groups, or it could not be decrypted
+        if (this.regex) {
+            let same = false;
+            try {
+                const check = this.variablePositions(output, chars);
+                same = (check.length === positions.length) && check.every((p, i) => p === positions[i]);
+            } catch (ex) {
+                if (!(ex instanceof InvalidFormatError)) {
+                    throw ex;
+                }
+            }
+            if (!same) {
+                throw new InvalidFormatError(`result does not match ${this.regex}: the capture groups must accept ` +
+                    `every character of the cipher's alphabet`);
+            }
+        }
+        return output;
+    }
+
+    /* tweak optionally overrides the cipher's tweak for this call */
+    encrypt(plaintext, tweak) {
+        return this.transform(plaintext, tweak, true);
+    }
+
+    /* tweak optionally overrides the cipher's tweak for this call */
+    decrypt(ciphertext, tweak) {
+        return this.transform(ciphertext, tweak, false);
+    }
+}
+
+module.exports = FormatEncryptor;
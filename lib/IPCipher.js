@@ -0,0 +1,214 @@
+/*
+ * IPv4 and IPv6 address encryption keeping the network prefix
+ *
+ * Copyright (c) 2021 Schoening Consulting LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and limitations under the License.
+ */
+
+const CycleWalkingCipher = require('./CycleWalkingCipher');
+const { decodeInt, encodeInt } = require('./alphabet');
+const { InvalidRadixError, InvalidDomainError, InvalidFormatError } = require('./errors');
+
+const IPV4_BITS =    32;
+const IPV6_BITS =    128;
+const IPV4_MAPPED =  0xFFFFn; // ::ffff:0:0/96 shifted right by 32 bits
+const CYCLE_MARGIN = 50;      // maxCycles is this many times the expected number of cycles
+const WALK_LIMIT =   100;     // most expected cipher calls per address before the shortCipher is needed
+
+const IPV4_PATTERN = /^(25[0-5]|2[0-4][0-9]|1[0-9][0-9]|[1-9]?[0-9])(\.(25[0-5]|2[0-4][0-9]|1[0-9][0-9]|[1-9]?[0-9])){3}$/;
+const GROUP_PATTERN = /^[0-9a-fA-F]{1,4}$/;
+
+function parseIPv4(address) {
+    return address.split('.').reduce((n, octet) => (n << 8n) | BigInt(octet), 0n);
+}
+
+function formatIPv4(n) {
+    const octets = [];
+    for (let i = 0; i < 4; ++i) {
+        octets.unshift(String(n & 0xFFn));
+        n >>= 8n;
+    }
+    return octets.join('.');
+}
+
+// Parse an IPv6 address, with :: compression and an optional trailing dotted IPv4 address, or return undefined
+
+function parseIPv6(address) {
+    // A trailing dotted IPv4 address, as in ::ffff:192.0.2.1, is rewritten as its two groups
+    const last = address.lastIndexOf(':') + 1;
+    if (address.includes('.', last)) {
+        const v4 = address.substring(last);
+        if (!IPV4_PATTERN.test(v4)) {
+            return undefined;
+        }
+        const n = parseIPv4(v4);
+        address = address.substring(0, last) + (n >> 16n).toString(16) + ':' + (n & 0xFFFFn).toString(16);
+    }
+    const halves = address.split('::');
+    if (halves.length > 2) {
+        return undefined;
+    }
+    const parse = (half) => (half === '') ? [] : half.split(':');
+    const head = parse(halves[0]);
+    const tail = (halves.length === 2) ? parse(halves[1]) : [];
+    if (![...head, ...tail].every(g => GROUP_PATTERN.test(g))) {
+        return undefined;
+    }
+    // :: stands for at least one zero group
+    const zeros = 8 - head.length - tail.length;
+    if ((halves.length === 2) ? (zeros < 1) : (zeros !== 0)) {
+        return undefined;
+    }
+    const groups = [...head, ...new Array(zeros).fill('0'), ...tail];
+    return groups.reduce((n, g) => (n << 16n) | BigInt('0x' + g), 0n);
+}
+
+// RFC 5952 canonical text: lowercase, no leading zeros, and the longest run of two or more zero groups as ::
+
+function formatIPv6(n) {
+    const groups = [];
+    for (let i = 0; i < 8; ++i) {
+        groups.unshift(Number(n & 0xFFFFn));
+        n >>= 16n;
+    }
+    let best = -1, bestLen = 1;
+    for (let i = 0; i < 8;) {
+        let j = i;
+        while (j < 8 && groups[j] === 0) {
+            ++j;
+        }
+        if (j - i > bestLen) {
+            best = i;
+            bestLen = j - i;
+        }
+        i = (j === i) ? i + 1 : j;
+    }
+    const hex = groups.map(g => g.toString(16));
+    if (best === -1) {
+        return hex.join(':');
+    }
+    return hex.slice(0, best).join(':') + '::' + hex.slice(best + bestLen).join(':');
+}
+
+class IPCipher {
+
+    constructor(cipher, options = {}) {
+        // Class IPCipher encrypts IPv4 and IPv6 addresses for log pseudonymization, keeping the network prefix in
+        // clear so subnet analytics still work. The host bits are encrypted with cipher, a radix 2 or radix 16
+        // FF3Cipher or FF1Cipher, and cycle walked until they fit the host bits again.
+        // options.ipv4Prefix is the IPv4 prefix length kept in clear (default 16)
+        // options.ipv6Prefix is the IPv6 prefix length kept in clear (default 48)
+        // options.shortCipher is a radix 2 or radix 16 SmallDomainCipher for host parts of fewer than 14 bits,
+        //   e.g. an IPv4 /24, which would take cipher over 100 calls per address. Without it, such a prefix
+        //   throws InvalidDomainError.
+        // Addresses are returned in dotted or RFC 5952 colon notation. An IPv4-mapped IPv6 address such as
+        // ::ffff:192.0.2.1 is encrypted as its IPv4 address and keeps the ::ffff: mapping in mixed notation.
+        for (const c of [cipher, options.shortCipher]) {
+            if ((c !== undefined) && (c.radix !== 2) && (c.radix !== 16)) {
+                throw new InvalidRadixError("IP address encryption requires a radix 2 or radix 16 cipher", c.radix);
+            }
+        }
+        this.cipher = cipher;
+        this.shortCipher = options.shortCipher;
+        this.ipv4 = this.network(IPV4_BITS, (options.ipv4Prefix !== undefined) ? options.ipv4Prefix : 16);
+        this.ipv6 = this.network(IPV6_BITS, (options.ipv6Prefix !== undefined) ? options.ipv6Prefix : 48);
+    }
+
+    // The host bits are encrypted as at least minLen numerals. A host part narrower than that, such as the
+    // 16 host bits of an IPv4 /16, is cycle walked through the larger domain, which takes 2^(20 - hostBits)
+    // cipher calls on average. Below 14 host bits the shortCipher encrypts just the host bits instead.
+
+    network(bits, prefix) {
+        if (!Number.isInteger(prefix) || (prefix < 0) || (prefix >= bits)) {
+            throw new TypeError(`prefix length must be an integer from 0 to ${bits - 1}`);
+        }
+        const hostBits = bits - prefix;
+        const size = 1n << BigInt(hostBits);
+        const domain = (cipher, minLen) => {
+            const length = Math.max(minLen, Math.ceil(hostBits / Math.log2(cipher.radix)));
+            return { length, expected: Number((BigInt(cipher.radix) ** BigInt(length)) / size) };
+        };
+
+        let cipher = this.cipher;
+        let { length, expected } = domain(cipher, cipher.minLen);
+        if (expected > WALK_LIMIT) {
+            if (this.shortCipher === undefined) {
+                throw new InvalidDomainError(`${hostBits} host bits take about ${expected} cipher calls ` +
+                    `per address; pass a SmallDomainCipher as options.shortCipher or use a shorter prefix`, size);
+            }
+            cipher = this.shortCipher;
+            ({ length, expected } = domain(cipher, 1));
+        }
+        if (length > cipher.maxLen) {
+            throw new InvalidDomainError(`${hostBits} host bits need ${length} numerals ` +
+                `but the cipher's maxLen is ${cipher.maxLen}`, size);
+        }
+        return {
+            prefix, hostBits, size, length, cipher,
+            walker: new CycleWalkingCipher(cipher),
+            maxCycles: Math.max(CYCLE_MARGIN * expected, 1000)
+        };
+    }
+
+    // isAllowed optionally excludes whole addresses from the results, which are cycle walked past them
+
+    transformHost(n, network, tweak, isEncrypt, isAllowed = () => true) {
+        const { radix, alphabet } = network.cipher;
+        const host = n & (network.size - 1n);
+        const numerals = encodeInt(host, radix, alphabet, network.length).join('');
+        const isValid = (s) => {
+            const h = decodeInt(Array.from(s), radix, alphabet);
+            return (h < network.size) && isAllowed((n - host) | h);
+        };
+        const options = {
+            isValid,
+            maxCycles: network.maxCycles,
+            tweak
+        };
+        const walker = network.walker;
+        const result = isEncrypt ? walker.encrypt(numerals, options) : walker.decrypt(numerals, options);
+        return (n - host) | decodeInt(Array.from(result), radix, alphabet);
+    }
+
+    transform(address, tweak, isEncrypt) {
+        if (typeof address !== 'string') {
+            throw new InvalidFormatError("IP address must be a string");
+        }
+        if (IPV4_PATTERN.test(address)) {
+            return formatIPv4(this.transformHost(parseIPv4(address), this.ipv4, tweak, isEncrypt));
+        }
+        const n = address.includes(':') ? parseIPv6(address) : undefined;
+        if (n === undefined) {
+            throw new InvalidFormatError(`${address} is not an IPv4 or IPv6 address`);
+        }
+        if ((n >> 32n) === IPV4_MAPPED) {
+            const v4 = this.transformHost(n & 0xFFFFFFFFn, this.ipv4, tweak, isEncrypt);
+            return '::ffff:' + formatIPv4(v4);
+        }
+        // Other IPv6 addresses never encrypt to an IPv4-mapped one, which would decrypt as IPv4
+        const isAllowed = a => (a >> 32n) !== IPV4_MAPPED;
+        return formatIPv6(this.transformHost(n, this.ipv6, tweak, isEncrypt, isAllowed));
+    }
+
+    /* tweak optionally overrides the cipher's tweak for this call */
+    encrypt(plaintext, tweak) {
+        return this.transform(plaintext, tweak, true);
+    }
+
+    /* tweak optionally overrides the cipher's tweak for this call */
+    decrypt(ciphertext, tweak) {
+        return this.transform(ciphertext, tweak, false);
+    }
+}
+
+module.exports = IPCipher;
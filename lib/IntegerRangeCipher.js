@@ -0,0 +1,100 @@
+/*
+ * Integer-range encryption, mapping a value in [min, max] to another value in the same range
+ *
+ * Copyright (c) 2021 Schoening Consulting LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and limitations under the License.
+ */
+
+const CycleWalkingCipher = require('./CycleWalkingCipher');
+const { DOMAIN_MIN } = require('./ff3core');
+const { decodeInt, encodeInt } = require('./alphabet');
+const { InvalidDomainError, InvalidFormatError } = require('./errors');
+
+class IntegerRangeCipher {
+
+    constructor(cipher, min, max, options = {}) {
+        // Class IntegerRangeCipher encrypts integers such as order IDs or ages into the same range [min, max],
+        // rather than into a fixed-width numeral string. The value is ranked to value - min, encrypted with
+        // cipher, an FF3Cipher or FF1Cipher, as a numeral string just long enough to hold the range, and cycle
+        // walked until the result is inside the range.
+        // min and max are integers, as a BigInt or number. Values come back as the type they were passed in.
+        // options.maxCycles caps the cycle walk (default 1000)
+        this.cipher = cipher;
+        this.min = IntegerRangeCipher.toBigInt(min, 'min');
+        this.max = IntegerRangeCipher.toBigInt(max, 'max');
+        this.size = this.max - this.min + 1n;
+        // Results outside the safe integer range can only be returned exactly as BigInt
+        this.isSafe = (this.min >= BigInt(Number.MIN_SAFE_INTEGER)) && (this.max <= BigInt(Number.MAX_SAFE_INTEGER));
+
+        // FF3-1 and FF1 require a domain of at least DOMAIN_MIN, and here the domain is the range itself
+        if (this.size < BigInt(DOMAIN_MIN)) {
+            throw new InvalidDomainError(`range [${this.min}, ${this.max}] has ${this.size < 0n ? 0n : this.size} values ` +
+                `but must have at least ${DOMAIN_MIN}`, this.size);
+        }
+
+        // Length of the numeral string in the cipher's radix, so size <= radix^length
+        const radix = BigInt(cipher.radix);
+        this.length = 0;
+        for (let n = 1n; n < this.size; n *= radix) {
+            this.length++;
+        }
+        if (this.length > cipher.maxLen) {
+            throw new InvalidDomainError(`range [${this.min}, ${this.max}] needs ${this.length} numerals ` +
+                `but the cipher's maxLen is ${cipher.maxLen}`, this.size);
+        }
+
+        this.walker = new CycleWalkingCipher(cipher, {
+            isValid: s => decodeInt(Array.from(s), cipher.radix, cipher.alphabet) < this.size,
+            maxCycles: options.maxCycles
+        });
+    }
+
+    static toBigInt(value, name) {
+        if (typeof value === 'bigint') {
+            return value;
+        }
+        if (Number.isSafeInteger(value)) {
+            return BigInt(value);
+        }
+        throw new TypeError(`${name} must be a BigInt or a safe integer`);
+    }
+
+    transform(value, tweak, isEncrypt) {
+        if ((typeof value !== 'bigint') && !(Number.isSafeInteger(value) && this.isSafe)) {
+            throw new InvalidFormatError(this.isSafe ? `value ${value} is not a BigInt or a safe integer` :
+                `value ${value} must be a BigInt, since the range is beyond safe integers`);
+        }
+        const n = BigInt(value);
+        if ((n < this.min) || (n > this.max)) {
+            throw new InvalidFormatError(`value ${n} is outside the range [${this.min}, ${this.max}]`);
+        }
+        const { radix, alphabet } = this.cipher;
+        const numerals = encodeInt(n - this.min, radix, alphabet, this.length).join('');
+        const options = { tweak };
+        const result = isEncrypt ? this.walker.encrypt(numerals, options) : this.walker.decrypt(numerals, options);
+        const r = decodeInt(Array.from(result), radix, alphabet) + this.min;
+        return (typeof value === 'bigint') ? r : Number(r);
+    }
+
+    /* tweak optionally overrides the cipher's tweak for this call */
+    encrypt(plaintext, tweak) {
+        return this.transform(plaintext, tweak, true);
+    }
+
+    /* tweak optionally overrides the cipher's tweak for this call */
+    decrypt(ciphertext, tweak) {
+        return this.transform(ciphertext, tweak, false);
+    }
+}
+
+module.exports = IntegerRangeCipher;
@@ -0,0 +1,117 @@
+/*
+ * Keyring with key IDs, an active key and rotation re-encryption
+ *
+ * Copyright (c) 2021 Schoening Consulting LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and limitations under the License.
+ */
+
+const FF3Cipher = require('./FF3Cipher');
+const { UnknownKeyError } = require('./errors');
+
+function destroyCipher(cipher) {
+    if (typeof cipher.destroy === 'function') {
+        cipher.destroy();
+    }
+}
+
+class Keyring {
+
+    constructor(options = {}) {
+        // Class Keyring holds named or versioned keys, e.g. "cards-v1" and "cards-v2", with one active key for encryption.
+        // options.tweak and options.radix (a radix or custom alphabet) configure the cipher for every key
+        // options.cipher is the cipher class, FF3Cipher (default) or FF1Cipher
+        this.tweak = options.tweak;
+        this.radix = (options.radix !== undefined) ? options.radix : 10;
+        this.Cipher = options.cipher || FF3Cipher;
+        this.ciphers = new Map();
+        this.activeKeyId = undefined;
+    }
+
+    /* The first key added is active unless another is made active */
+    addKey(keyId, key, active = false) {
+        this.ciphers.set(keyId, new this.Cipher(key, this.tweak, this.radix));
+        if (active || this.activeKeyId === undefined) {
+            this.activeKeyId = keyId;
+        }
+        return this;
+    }
+
+    /* The removed key's cipher is destroyed if it supports destroy() */
+    removeKey(keyId) {
+        destroyCipher(this.cipher(keyId));
+        this.ciphers.delete(keyId);
+        if (this.activeKeyId === keyId) {
+            this.activeKeyId = undefined;
+        }
+    }
+
+    /* Destroy the ciphers of every key and empty the keyring */
+    destroy() {
+        this.ciphers.forEach(destroyCipher);
+        this.ciphers.clear();
+        this.activeKeyId = undefined;
+    }
+
+    setActive(keyId) {
+        this.cipher(keyId);
+        this.activeKeyId = keyId;
+    }
+
+    keyIds() {
+        return Array.from(this.ciphers.keys());
+    }
+
+    cipher(keyId = this.activeKeyId) {
+        const cipher = this.ciphers.get(keyId);
+        if (cipher === undefined) {
+            throw new UnknownKeyError(keyId);
+        }
+        return cipher;
+    }
+
+    /* Encrypt with the active key, returning the key ID to store alongside the ciphertext */
+    encrypt(plaintext, tweak) {
+        const keyId = this.activeKeyId;
+        return { keyId, ciphertext: this.cipher(keyId).encrypt(plaintext, tweak) };
+    }
+
+    decrypt(ciphertext, keyId, tweak) {
+        return this.cipher(keyId).decrypt(ciphertext, tweak);
+    }
+
+    /* Decrypt with fromKeyId and encrypt with toKeyId, by default the active key */
+    reencrypt(ciphertext, fromKeyId, toKeyId = this.activeKeyId, tweak) {
+        const from = this.cipher(fromKeyId);
+        const to = this.cipher(toKeyId);
+        return to.encrypt(from.decrypt(ciphertext, tweak), tweak);
+    }
+
+    /*
+     * Re-encrypt stored tokens from fromKeyId to toKeyId, returning the new tokens in order.
+     * An error is thrown with the index of the token that failed, so a migration can resume from there.
+     */
+    rotate(ciphertexts, fromKeyId, toKeyId = this.activeKeyId, tweak) {
+        const from = this.cipher(fromKeyId);
+        const to = this.cipher(toKeyId);
+        return Array.from(ciphertexts, (ciphertext, index) => {
+            try {
+                return to.encrypt(from.decrypt(ciphertext, tweak), tweak);
+            } catch (ex) {
+                ex.index = index;
+                throw ex;
+            }
+        });
+    }
+}
+
+module.exports = Keyring;
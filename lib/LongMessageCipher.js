@@ -0,0 +1,88 @@
+/*
+ * Long-message mode for messages beyond the cipher's maxLen
+ *
+ * Copyright (c) 2021 Schoening Consulting LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and limitations under the License.
+ */
+
+const { hmacTweak } = require('./keys');
+const { InvalidLengthError, InvalidCharacterError } = require('./errors');
+
+class LongMessageCipher {
+
+    constructor(cipher) {
+        // Class LongMessageCipher encrypts messages longer than cipher.maxLen in chunks, each with its own
+        // tweak derived from the cipher's tweak and the chunk index, so identical chunks encrypt differently.
+        // Messages up to maxLen are encrypted by cipher unchanged.
+        this.cipher = cipher;
+    }
+
+    // Split n numerals into the fewest chunks of at most maxLen, with sizes differing by at most one.
+    // Balancing the sizes means a final chunk is never shorter than minLen.
+
+    chunkSizes(n) {
+        const count = Math.ceil(n / this.cipher.maxLen);
+        const size = Math.floor(n / count);
+        const sizes = new Array(count).fill(size);
+        for (let i = 0; i < n % count; ++i) {
+            sizes[i] += 1;
+        }
+        return sizes;
+    }
+
+    static chunkTweak(tweakBytes, index) {
+        // The tweak is not secret, so it keys the HMAC only to make chunk tweaks differ between tweaks
+        return hmacTweak(tweakBytes, ['chunk', index]);
+    }
+
+    transform(text, tweak, isEncrypt) {
+        const numerals = Array.from(text);
+        const n = numerals.length;
+        if (n < this.cipher.minLen) {
+            throw new InvalidLengthError(n, this.cipher.minLen, Infinity);
+        }
+        if (n <= this.cipher.maxLen) {
+            return isEncrypt ? this.cipher.encrypt(text, tweak) : this.cipher.decrypt(text, tweak);
+        }
+
+        const tweakBytes = (tweak === undefined) ? this.cipher.tweakBytes : this.cipher.constructor.parseTweak(tweak);
+        let offset = 0;
+        return this.chunkSizes(n).map((size, i) => {
+            const chunk = numerals.slice(offset, offset + size).join('');
+            const chunkTweak = LongMessageCipher.chunkTweak(tweakBytes, i);
+            try {
+                return isEncrypt ? this.cipher.encrypt(chunk, chunkTweak) : this.cipher.decrypt(chunk, chunkTweak);
+            } catch (ex) {
+                // Report the position in the whole message rather than in the chunk
+                if (ex instanceof InvalidCharacterError) {
+                    throw new InvalidCharacterError(ex.character, offset + ex.position, ex.radix);
+                }
+                throw ex;
+            } finally {
+                offset += size;
+            }
+        }).join('');
+    }
+
+    /* tweak optionally overrides the cipher's tweak for this call */
+    encrypt(plaintext, tweak) {
+        return this.transform(plaintext, tweak, true);
+    }
+
+    /* tweak optionally overrides the cipher's tweak for this call */
+    decrypt(ciphertext, tweak) {
+        return this.transform(ciphertext, tweak, false);
+    }
+}
+
+module.exports = LongMessageCipher;
@@ -0,0 +1,96 @@
+/*
+ * Mixed-radix encryption with a separate alphabet for each position
+ *
+ * Copyright (c) 2021 Schoening Consulting LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and limitations under the License.
+ */
+
+const CycleWalkingCipher = require('./CycleWalkingCipher');
+const { alphabetInfo, resolveAlphabet, decodeInt, encodeInt } = require('./alphabet');
+const { InvalidLengthError, InvalidCharacterError } = require('./errors');
+
+class MixedRadixCipher {
+
+    constructor(cipher, alphabets) {
+        // Class MixedRadixCipher encrypts values where each position has its own alphabet, e.g. a letter
+        // followed by six digits. The value is ranked into a single integer in [0, domain), encrypted with
+        // cipher, an FF3Cipher or FF1Cipher, as a numeral string just long enough to hold the domain, and
+        // cycle walked until the result is inside the domain before it is unranked.
+        this.cipher = cipher;
+        this.walker = new CycleWalkingCipher(cipher, { isValid: s => this.isInDomain(s) });
+        this.positions = alphabets.map(a => {
+            const { alphabet } = resolveAlphabet(a);
+            return alphabetInfo(alphabet);
+        });
+        this.domain = this.positions.reduce((d, p) => d * BigInt(p.symbols.length), 1n);
+
+        // Length of the numeral string in the cipher's radix, so domain <= radix^length
+        const radix = BigInt(cipher.radix);
+        this.length = 0;
+        for (let size = 1n; size < this.domain; size *= radix) {
+            this.length++;
+        }
+        if ((this.length < cipher.minLen) || (this.length > cipher.maxLen)) {
+            throw new InvalidLengthError(this.length, cipher.minLen, cipher.maxLen);
+        }
+    }
+
+    isInDomain(numerals) {
+        return decodeInt(Array.from(numerals), this.cipher.radix, this.cipher.alphabet) < this.domain;
+    }
+
+    // Rank the value with the first position most significant
+
+    rank(text) {
+        const chars = Array.from(text);
+        if (chars.length !== this.positions.length) {
+            throw new InvalidLengthError(chars.length, this.positions.length, this.positions.length);
+        }
+        return chars.reduce((n, c, i) => {
+            const value = this.positions[i].index.get(c);
+            if (value === undefined) {
+                throw new InvalidCharacterError(c, i, this.positions[i].symbols.length);
+            }
+            return n * BigInt(this.positions[i].symbols.length) + BigInt(value);
+        }, 0n);
+    }
+
+    unrank(n) {
+        const chars = new Array(this.positions.length);
+        for (let i = this.positions.length - 1; i >= 0; --i) {
+            const radix = BigInt(this.positions[i].symbols.length);
+            chars[i] = this.positions[i].symbols[Number(n % radix)];
+            n /= radix;
+        }
+        return chars.join('');
+    }
+
+    transform(text, tweak, isEncrypt) {
+        const numerals = encodeInt(this.rank(text), this.cipher.radix, this.cipher.alphabet, this.length).join('');
+        const options = { tweak };
+        const result = isEncrypt ? this.walker.encrypt(numerals, options) : this.walker.decrypt(numerals, options);
+        return this.unrank(decodeInt(Array.from(result), this.cipher.radix, this.cipher.alphabet));
+    }
+
+    /* tweak optionally overrides the cipher's tweak for this call */
+    encrypt(plaintext, tweak) {
+        return this.transform(plaintext, tweak, true);
+    }
+
+    /* tweak optionally overrides the cipher's tweak for this call */
+    decrypt(ciphertext, tweak) {
+        return this.transform(ciphertext, tweak, false);
+    }
+}
+
+module.exports = MixedRadixCipher;
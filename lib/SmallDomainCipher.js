@@ -0,0 +1,210 @@
+/*
+ * Small-domain tokenization for values shorter than minLen, using a key-derived permutation
+ *
+ * Copyright (c) 2021 Schoening Consulting LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and limitations under the License.
+ *
+ * This is NOT FF3 or FF1, and is not approved by NIST. Below DOMAIN_MIN there are too few values for a
+ * Feistel cipher to be secure, so each domain gets a random permutation, a Fisher-Yates shuffle driven by an
+ * AES-CTR keystream whose key is derived with HMAC-SHA256 from the key, tweak, alphabet and length. The
+ * permutation is as strong as the key, but a domain of a few thousand values can be recovered by anyone able
+ * to encrypt or decrypt chosen values, or guessed from frequencies in the tokens.
+ */
+
+const crypto = require('crypto');
+const FF3Cipher = require('./FF3Cipher');
+const { resolveAlphabet, validate, decodeInt, encodeInt } = require('./alphabet');
+const { keyBytes: copyKey } = require('./keys');
+const { DOMAIN_MIN, tweakId } = require('./ff3core');
+const { InvalidKeyError, InvalidLengthError, InvalidFormatError } = require('./errors');
+
+const MAX_CACHED =   8;       // permutations kept, each of up to DOMAIN_MIN 32-bit entries
+const STREAM_BYTES = 4096;
+
+// Uniform random integers below a bound from an AES-CTR keystream, by rejection sampling 32-bit words
+
+class KeyStream {
+
+    constructor(key) {
+        this.aes = crypto.createCipheriv('aes-256-ctr', key, Buffer.alloc(16));
+        this.zeros = Buffer.alloc(STREAM_BYTES);
+        this.buffer = Buffer.alloc(0);
+        this.offset = 0;
+    }
+
+    nextWord() {
+        if (this.offset === this.buffer.length) {
+            this.buffer = this.aes.update(this.zeros);
+            this.offset = 0;
+        }
+        const word = this.buffer.readUInt32LE(this.offset);
+        this.offset += 4;
+        return word;
+    }
+
+    below(bound) {
+        const limit = 2 ** 32 - (2 ** 32 % bound);
+        let word;
+        do {
+            word = this.nextWord();
+        } while (word >= limit);
+        return word % bound;
+    }
+}
+
+class SmallDomainCipher {
+
+    constructor(key, tweak, radix=10, options = {}) {
+        // Class SmallDomainCipher tokenizes values shorter than FF3Cipher's minLen, such as 4-digit PINs or
+        // 2-letter state codes, with the same constructor, encrypt and decrypt as FF3Cipher. Values of minLen or
+        // longer throw InvalidLengthError and should be encrypted with FF3Cipher.
+        // See the security note above: this is much weaker than FF3-1 and FF1.
+        // options.meter is a UsageMeter that counts and limits the calls to encrypt and decrypt
+        ({ radix, alphabet: this.alphabet } = resolveAlphabet(radix));
+        this.radix = radix;
+        this.minLen = 1;
+        this.maxLen = Math.ceil(Math.log(DOMAIN_MIN) / Math.log(radix)) - 1;
+        this.tweakBytes = FF3Cipher.parseTweak(tweak);
+        this.tweak = tweak;
+        this.meter = options.meter || null;
+
+        // Only an HMAC key derived from the key is kept, and the key copy is wiped
+        const rawKey = copyKey(key);
+        try {
+            const keyLen = rawKey.length;
+            if ((keyLen !== 16) && (keyLen !== 24) && (keyLen !== 32)) {
+                throw new InvalidKeyError("key length " + keyLen + " but must be 128, 192, or 256 bits", keyLen);
+            }
+            const derived = crypto.createHmac('sha256', rawKey).update('ff3 small domain').digest();
+            this.hmacKey = crypto.createSecretKey(derived);
+            derived.fill(0);
+        } finally {
+            rawKey.fill(0);
+        }
+        this.permutations = new Map();
+    }
+
+    /* factory for a cipher over an ordered alphabet, e.g. uppercase-only or base62 */
+    static withCustomAlphabet(key, tweak, alphabet, options = {}) {
+        return new SmallDomainCipher(key, tweak, alphabet, options);
+    }
+
+    // The permutation of [0, radix^length) and its inverse for a tweak, cached as most recently used
+
+    permutation(tweakBytes, length) {
+        const id = tweakBytes.toString('hex') + ':' + length;
+        let perm = this.permutations.get(id);
+        if (perm !== undefined) {
+            this.permutations.delete(id);
+            this.permutations.set(id, perm);
+            return perm;
+        }
+
+        // Each value is length-prefixed so the derivation inputs can't run together
+        const hmac = crypto.createHmac('sha256', this.hmacKey);
+        for (const value of [tweakBytes, Buffer.from(this.alphabet, 'utf8'), Buffer.from(String(length))]) {
+            const len = Buffer.alloc(4);
+            len.writeUInt32BE(value.length);
+            hmac.update(len);
+            hmac.update(value);
+        }
+        const streamKey = hmac.digest();
+        const stream = new KeyStream(streamKey);
+        streamKey.fill(0);
+
+        const size = this.radix ** length;
+        const forward = new Uint32Array(size);
+        for (let i = 0; i < size; ++i) {
+            forward[i] = i;
+        }
+        for (let i = size - 1; i > 0; --i) {
+            const j = stream.below(i + 1);
+            const t = forward[i];
+            forward[i] = forward[j];
+            forward[j] = t;
+        }
+        const inverse = new Uint32Array(size);
+        for (let i = 0; i < size; ++i) {
+            inverse[forward[i]] = i;
+        }
+        perm = { forward, inverse };
+
+        this.permutations.set(id, perm);
+        if (this.permutations.size > MAX_CACHED) {
+            const [oldest] = this.permutations.keys();
+            this.wipe(oldest);
+        }
+        return perm;
+    }
+
+    wipe(id) {
+        const { forward, inverse } = this.permutations.get(id);
+        forward.fill(0);
+        inverse.fill(0);
+        this.permutations.delete(id);
+    }
+
+    /* Release the key and wipe the cached permutations. encrypt and decrypt throw InvalidKeyError afterwards. */
+    destroy() {
+        Array.from(this.permutations.keys()).forEach(id => this.wipe(id));
+        this.hmacKey = null;
+    }
+
+    get destroyed() {
+        return this.hmacKey === null;
+    }
+
+    transform(text, tweak, isEncrypt) {
+        if (this.destroyed) {
+            throw new InvalidKeyError("cipher has been destroyed");
+        }
+        const tweakBytes = (tweak === undefined) ? this.tweakBytes : FF3Cipher.parseTweak(tweak);
+        if (typeof text !== 'string') {
+            throw new InvalidFormatError(`message must be a string, not ${(text === null) ? 'null' : typeof text}`);
+        }
+        const numerals = Array.from(text);
+        const n = numerals.length;
+        if ((n < this.minLen) || (n > this.maxLen)) {
+            throw new InvalidLengthError(n, this.minLen, this.maxLen);
+        }
+        validate(numerals, text, this.radix, this.alphabet);
+
+        const { forward, inverse } = this.permutation(tweakBytes, n);
+        const value = Number(decodeInt(numerals, this.radix, this.alphabet));
+        const result = isEncrypt ? forward[value] : inverse[value];
+        return encodeInt(BigInt(result), this.radix, this.alphabet, n).join('');
+    }
+
+    // Count the call with options.meter, if the cipher has one, under the tweak's id, so a 56-bit tweak and its
+    // 64-bit expansion are counted together
+
+    metered(tweak, isEncrypt, run) {
+        if (this.meter === null) {
+            return run();
+        }
+        const tweakBytes = (tweak === undefined) ? this.tweakBytes : FF3Cipher.parseTweak(tweak);
+        return this.meter.use(tweakId(tweakBytes), isEncrypt, run);
+    }
+
+    /* tweak optionally overrides the constructor tweak for this call */
+    encrypt(plaintext, tweak) {
+        return this.metered(tweak, true, () => this.transform(plaintext, tweak, true));
+    }
+
+    /* tweak optionally overrides the constructor tweak for this call */
+    decrypt(ciphertext, tweak) {
+        return this.metered(tweak, false, () => this.transform(ciphertext, tweak, false));
+    }
+}
+
+module.exports = SmallDomainCipher;
@@ -0,0 +1,171 @@
+/*
+ * Usage accounting and limits for a key, to enforce key and tweak rotation
+ *
+ * Copyright (c) 2021 Schoening Consulting LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and limitations under the License.
+ *
+ * The security of FPE degrades with the number of values encrypted under one key and tweak, more so for small
+ * domains, so a meter counts every encrypt and decrypt of the ciphers it is given to. A cipher wrapped by a
+ * helper that cycle walks, such as CardTokenizer, is counted once per cycle.
+ */
+
+const { UsageLimitError } = require('./errors');
+
+const SCOPES = ['tweak', 'key'];
+
+class UsageMeter {
+
+    constructor(options = {}) {
+        // Class UsageMeter counts encryptions and decryptions in total and per tweak, for the ciphers created with
+        // { meter } in their options. Share one meter between the ciphers of one key to count their uses together.
+        // options.softLimit is the number of uses after which onSoftLimit is called, once per tweak or key
+        // options.hardLimit is the number of uses after which encrypt and decrypt throw UsageLimitError
+        // options.scope is 'tweak' (default), to apply the limits to each tweak, or 'key' for all uses
+        // options.onUse(event) is called after each use with { operation, tweak, count, total }, where count is
+        //   the uses of the tweak and total the uses of the key. The value is never passed.
+        // options.onSoftLimit(event) is called with { scope, tweak, count, limit }, or a process warning is emitted
+        // options.counts restores the counts saved from JSON.stringify(meter), e.g. across restarts
+        this.scope = options.scope || SCOPES[0];
+        if (!SCOPES.includes(this.scope)) {
+            throw new TypeError(`unknown scope ${this.scope}`);
+        }
+        for (const name of ['softLimit', 'hardLimit']) {
+            const limit = options[name];
+            if ((limit !== undefined) && (!Number.isInteger(limit) || (limit < 0))) {
+                throw new TypeError(`${name} must be a non-negative integer`);
+            }
+        }
+        this.softLimit = options.softLimit;
+        this.hardLimit = options.hardLimit;
+        this.onUse = options.onUse;
+        this.onSoftLimit = options.onSoftLimit || (event => process.emitWarning(
+            `${event.scope === 'key' ? 'the key' : 'tweak ' + event.tweak} has been used ${event.count} times, ` +
+            `more than the soft limit of ${event.limit}`, 'FPEUsageWarning'));
+
+        const counts = options.counts || {};
+        this.encryptions = counts.encryptions || 0;
+        this.decryptions = counts.decryptions || 0;
+        this.tweaks = new Map(Object.entries(counts.tweaks || {}).map(([tweak, c]) =>
+            [tweak, { encryptions: c.encryptions || 0, decryptions: c.decryptions || 0 }]));
+        // The soft limit is reported once, including for counts restored above it
+        this.warned = new Set();
+        // Uses reserved by calls that complete later, per tweak and in total
+        this.reserved = new Map();
+        this.reservedTotal = 0;
+    }
+
+    // Tweaks are counted by their hex string, so "d8e7" and "D8E7" are the same tweak
+
+    static tweakId(tweak) {
+        return String(tweak).toUpperCase();
+    }
+
+    get total() {
+        return this.encryptions + this.decryptions;
+    }
+
+    /* Return the uses of tweak, or of the key if tweak is undefined */
+    count(tweak) {
+        if (tweak === undefined) {
+            return this.total;
+        }
+        const c = this.tweaks.get(UsageMeter.tweakId(tweak));
+        return (c === undefined) ? 0 : c.encryptions + c.decryptions;
+    }
+
+    // Throw UsageLimitError if n more uses of tweak would exceed the hard limit, with the uses counted and
+    // reserved. Called before each use.
+
+    check(tweak, n = 1) {
+        if (this.hardLimit === undefined) {
+            return;
+        }
+        const count = (this.scope === 'key') ? this.total + this.reservedTotal :
+            this.count(tweak) + (this.reserved.get(UsageMeter.tweakId(tweak)) || 0);
+        if (count + n > this.hardLimit) {
+            throw new UsageLimitError(this.hardLimit, (this.scope === 'key') ? undefined : UsageMeter.tweakId(tweak));
+        }
+    }
+
+    // Reserve n uses of tweak for calls that complete later, such as FF3CipherAsync and FF3Pool calls, so calls
+    // running together can't exceed the hard limit. Each reserved use is released once its call has completed,
+    // and counted with record() if it succeeded.
+
+    reserve(tweak, n = 1) {
+        this.check(tweak, n);
+        const id = UsageMeter.tweakId(tweak);
+        this.reserved.set(id, (this.reserved.get(id) || 0) + n);
+        this.reservedTotal += n;
+    }
+
+    release(tweak, n = 1) {
+        const id = UsageMeter.tweakId(tweak);
+        const left = (this.reserved.get(id) || 0) - n;
+        if (left > 0) {
+            this.reserved.set(id, left);
+        } else {
+            this.reserved.delete(id);
+        }
+        this.reservedTotal -= n;
+    }
+
+    // Count a successful use of tweak and report it. Called after each use.
+
+    record(tweak, isEncrypt) {
+        const id = UsageMeter.tweakId(tweak);
+        let c = this.tweaks.get(id);
+        if (c === undefined) {
+            c = { encryptions: 0, decryptions: 0 };
+            this.tweaks.set(id, c);
+        }
+        if (isEncrypt) {
+            ++c.encryptions;
+            ++this.encryptions;
+        } else {
+            ++c.decryptions;
+            ++this.decryptions;
+        }
+
+        const count = c.encryptions + c.decryptions;
+        const scoped = (this.scope === 'key') ? this.total : count;
+        const warnId = (this.scope === 'key') ? '' : id;
+        if ((this.softLimit !== undefined) && (scoped > this.softLimit) && !this.warned.has(warnId)) {
+            this.warned.add(warnId);
+            this.onSoftLimit({ scope: this.scope, tweak: (this.scope === 'key') ? undefined : id, count: scoped,
+                limit: this.softLimit });
+        }
+        if (typeof this.onUse === 'function') {
+            this.onUse({ operation: isEncrypt ? 'encrypt' : 'decrypt', tweak: id, count, total: this.total });
+        }
+    }
+
+    // Run a use of tweak, checking the hard limit first and counting it if it succeeds
+
+    use(tweak, isEncrypt, run) {
+        this.check(tweak);
+        const result = run();
+        this.record(tweak, isEncrypt);
+        return result;
+    }
+
+    /* The counts, in total and per tweak, to save and restore with options.counts */
+    toJSON() {
+        return {
+            encryptions: this.encryptions,
+            decryptions: this.decryptions,
+            tweaks: Object.fromEntries(Array.from(this.tweaks, ([id, c]) => [id, { ...c }]))
+        };
+    }
+}
+
+module.exports = UsageMeter;
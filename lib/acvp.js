@@ -0,0 +1,106 @@
+/*
+ * Runner for NIST ACVP test vectors in JSON format, for FF3-1 and FF1
+ *
+ * Copyright (c) 2021 Schoening Consulting LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and limitations under the License.
+ *
+ * An ACVP vector set is a request (prompt) file holding test groups of cases with a key, tweak and pt or ct,
+ * and a response (expected results) file holding the matching ct or pt for each tcId. Either file may be
+ * the bare vector set object or the ACVP array of a version object followed by the vector set. A request
+ * file whose cases already hold both pt and ct, such as an internal projection, needs no response file.
+ */
+
+const fs = require('fs');
+const FF3Cipher = require('./FF3Cipher');
+const FF1Cipher = require('./FF1Cipher');
+
+const ALGORITHMS = {
+    'ACVP-AES-FF3-1': FF3Cipher,
+    'ACVP-AES-FF1': FF1Cipher
+};
+
+// Return the vector set from a parsed ACVP file, skipping the leading { acvVersion } object
+
+function vectorSet(json) {
+    const set = Array.isArray(json) ? json.find(o => o.testGroups !== undefined) : json;
+    if (set === undefined || !Array.isArray(set.testGroups)) {
+        throw new TypeError("ACVP file has no testGroups");
+    }
+    return set;
+}
+
+// Map tcId to the expected test case from the response, or from the request itself
+
+function expectedCases(set) {
+    const cases = new Map();
+    for (const group of set.testGroups) {
+        for (const tc of group.tests) {
+            cases.set(tc.tcId, tc);
+        }
+    }
+    return cases;
+}
+
+/*
+ * Run every test case of an ACVP request against FF3Cipher or FF1Cipher, chosen by the request's algorithm.
+ * request and response are parsed ACVP JSON; response defaults to the request.
+ * Returns { algorithm, passed, failed, results } where each result is
+ * { tgId, tcId, direction, passed, expected, actual } and a case that throws has error set instead of actual.
+ */
+function runVectors(request, response=request) {
+    const set = vectorSet(request);
+    const Cipher = ALGORITHMS[set.algorithm];
+    if (Cipher === undefined) {
+        throw new TypeError(`unsupported ACVP algorithm ${set.algorithm}`);
+    }
+    const expected = expectedCases(vectorSet(response));
+
+    const results = [];
+    for (const group of set.testGroups) {
+        const isEncrypt = (group.direction !== 'decrypt');
+        // ACVP gives both the alphabet and radix, and the cipher derives the radix from the alphabet
+        const radix = (group.alphabet !== undefined) ? group.alphabet : group.radix;
+        for (const tc of group.tests) {
+            const exp = expected.get(tc.tcId) || {};
+            const result = {
+                tgId: group.tgId,
+                tcId: tc.tcId,
+                direction: isEncrypt ? 'encrypt' : 'decrypt',
+                expected: isEncrypt ? exp.ct : exp.pt
+            };
+            try {
+                const c = new Cipher(tc.key, tc.tweak, radix);
+                result.actual = isEncrypt ? c.encrypt(tc.pt) : c.decrypt(tc.ct);
+            } catch (ex) {
+                result.error = ex;
+            }
+            result.passed = (result.expected !== undefined) && (result.actual === result.expected);
+            results.push(result);
+        }
+    }
+    const passed = results.filter(r => r.passed).length;
+    return { algorithm: set.algorithm, passed, failed: results.length - passed, results };
+}
+
+/* Load and run an ACVP request file, with its expected results from responsePath if given */
+function runVectorFiles(requestPath, responsePath) {
+    const request = JSON.parse(fs.readFileSync(requestPath, 'utf8'));
+    const response = (responsePath === undefined) ? request : JSON.parse(fs.readFileSync(responsePath, 'utf8'));
+    return runVectors(request, response);
+}
+
+module.exports = {
+    ALGORITHMS,
+    runVectors,
+    runVectorFiles
+};
@@ -0,0 +1,258 @@
+/*
+ * Alphabets and numeral string conversions shared by the FF1 and FF3 ciphers
+ *
+ * Copyright (c) 2021 Schoening Consulting LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and limitations under the License.
+ */
+
+const { InvalidRadixError, InvalidCharacterError } = require('./errors');
+
+const BASE62 = '0123456789abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ';
+const MAX_RADIX = 65536;    // 2^16 is the largest radix allowed by SP 800-38G
+
+// Cache of the symbols and their numeral values, keyed by alphabet string
+
+const alphabets = new Map();
+
+function alphabetInfo(alphabet) {
+    let info = alphabets.get(alphabet);
+    if (info === undefined) {
+        // Array.from splits on code points, so symbols outside the BMP count as one numeral
+        const symbols = Array.from(alphabet);
+        const index = new Map();
+        symbols.forEach((c, i) => index.set(c, i));
+        // A character class of the whole alphabet lets validate() check a message in one regex test
+        const escaped = symbols.map(c => /[\\\]\[^-]/.test(c) ? '\\' + c : c).join('');
+        const pattern = new RegExp('^[' + escaped + ']*$', 'u');
+        // For all-ASCII alphabets, numeral values are looked up by char code instead of in the Map
+        let ascii = null;
+        if (symbols.every(c => c.charCodeAt(0) < 128 && c.length === 1)) {
+            ascii = new Int32Array(128).fill(-1);
+            symbols.forEach((c, i) => { ascii[c.charCodeAt(0)] = i; });
+        }
+        info = { symbols, index, pattern, ascii };
+        alphabets.set(alphabet, info);
+    }
+    return info;
+}
+
+// Resolve a cipher's radix argument, which is either the size of the default alphabet
+// 0-9a-zA-Z or a custom alphabet string
+
+function resolveAlphabet(radix) {
+    if (typeof radix === 'string') {
+        const info = alphabetInfo(radix);
+        if (info.index.size !== info.symbols.length) {
+            throw new InvalidRadixError("alphabet must not contain duplicate characters", info.symbols.length);
+        }
+        return { radix: info.symbols.length, alphabet: radix };
+    }
+    if (!Number.isInteger(radix) || (radix < 2) || (radix > BASE62.length)) {
+        throw new InvalidRadixError("radix must be an integer between 2 and 62, or a custom alphabet", radix);
+    }
+    return { radix, alphabet: BASE62.slice(0, radix) };
+}
+
+// Check every numeral is in the alphabet, with a regex fast path before locating the bad character
+
+function validate(numerals, text, radix, alphabet) {
+    const info = alphabetInfo(alphabet);
+    if (info.pattern.test(text)) {
+        return;
+    }
+    for (let i = 0; i < numerals.length; ++i) {
+        if (!info.index.has(numerals[i])) {
+            throw new InvalidCharacterError(numerals[i], i, radix);
+        }
+    }
+}
+
+// Convert text to an array of numeral values, with -1 for characters outside the alphabet
+
+function toNumerals(text, alphabet) {
+    const info = alphabetInfo(alphabet);
+    const ascii = info.ascii;
+    if (ascii !== null) {
+        const numerals = new Int32Array(text.length);
+        let i = 0;
+        for (; i < text.length; ++i) {
+            const code = text.charCodeAt(i);
+            if (code >= 128) {
+                break;
+            }
+            numerals[i] = ascii[code];
+        }
+        if (i === text.length) {
+            return numerals;
+        }
+        // A non-ASCII character may be a surrogate pair, so count code points on the general path
+    }
+    const chars = Array.from(text);
+    const numerals = new Int32Array(chars.length);
+    for (let i = 0; i < chars.length; ++i) {
+        const value = info.index.get(chars[i]);
+        numerals[i] = (value === undefined) ? -1 : value;
+    }
+    return numerals;
+}
+
+function fromNumerals(numerals, alphabet) {
+    const symbols = alphabetInfo(alphabet).symbols;
+    let text = '';
+    for (let i = 0; i < numerals.length; ++i) {
+        text += symbols[numerals[i]];
+    }
+    return text;
+}
+
+// Per-radix constants for converting between numeral arrays and BigInt. Numerals are combined in
+// chunks whose value is exact in a double, so there is one BigInt operation per chunk, not per numeral.
+// powers caches radix^length, the Feistel moduli, as lengths are used.
+
+const radixes = new Map();
+
+function radixInfo(radix) {
+    let info = radixes.get(radix);
+    if (info === undefined) {
+        let chunk = 1;
+        while (radix ** (chunk + 1) <= Number.MAX_SAFE_INTEGER) {
+            chunk++;
+        }
+        info = { chunk, chunkBig: BigInt(radix ** chunk), radixBig: BigInt(radix), powers: [1n] };
+        radixes.set(radix, info);
+    }
+    return info;
+}
+
+function radixPower(radix, length) {
+    const info = radixInfo(radix);
+    const powers = info.powers;
+    while (powers.length <= length) {
+        powers.push(powers[powers.length - 1] * info.radixBig);
+    }
+    return powers[length];
+}
+
+// NUM_radix(REV(X)) of numeral values numerals[start..end), least significant first
+
+function numeralsToBigR(numerals, start, end, radix) {
+    const { chunk, chunkBig } = radixInfo(radix);
+    let num = 0n;
+    // The most significant chunk takes the remainder, so the rest are all full chunks
+    let i = end;
+    let k = ((end - start) % chunk) || chunk;
+    while (i > start) {
+        let part = 0;
+        for (let j = i - 1; j >= i - k; --j) {
+            part = part * radix + numerals[j];
+        }
+        num = num * chunkBig + BigInt(part);
+        i -= k;
+        k = chunk;
+    }
+    return num;
+}
+
+// STR^length_radix(n) reversed, written into numerals[start..start+length). n must be less than radix^length.
+
+function bigToNumeralsR(n, numerals, start, length, radix) {
+    const { chunk, chunkBig } = radixInfo(radix);
+    const end = start + length;
+    let i = start;
+    while (i < end) {
+        let part;
+        if (end - i > chunk) {
+            part = Number(n % chunkBig);
+            n /= chunkBig;
+        } else {
+            part = Number(n);
+        }
+        const stop = Math.min(i + chunk, end);
+        for (; i < stop; ++i) {
+            numerals[i] = part % radix;
+            part = Math.floor(part / radix);
+        }
+    }
+}
+
+// The value of the numeral at position i, which must be one of the first radix characters of the alphabet
+
+function numeralValue(index, numerals, i, radix) {
+    const value = index.get(numerals[i]);
+    if ((value === undefined) || (value >= radix)) {
+        throw new InvalidCharacterError(numerals[i], i, radix);
+    }
+    return BigInt(value);
+}
+
+// NUM_radix(X): numerals are most significant first
+
+function decodeInt(numerals, radix, alphabet) {
+    const index = alphabetInfo(alphabet).index;
+    const r = BigInt(radix);
+    let num = 0n;
+    for (let i = 0; i < numerals.length; ++i) {
+        num = num * r + numeralValue(index, numerals, i, radix);
+    }
+    return num;
+}
+
+// FF3 reverses A and B, so its numerals are least significant first
+
+function decodeIntR(numerals, radix, alphabet) {
+    const index = alphabetInfo(alphabet).index;
+    const r = BigInt(radix);
+    let num = 0n;
+    for (let i = numerals.length - 1; i >= 0; --i) {
+        num = num * r + numeralValue(index, numerals, i, radix);
+    }
+    return num;
+}
+
+function encodeIntR(n, radix, alphabet, length) {
+    const symbols = alphabetInfo(alphabet).symbols;
+    const r = BigInt(radix);
+    const x = [];
+    while (n >= r) {
+        x.push(symbols[Number(n % r)]);
+        n = n / r;
+    }
+    x.push(symbols[Number(n)]);
+    while (x.length < length) {
+        x.push(symbols[0]);
+    }
+    return x;
+}
+
+// STR^m_radix(n): numerals are most significant first
+
+function encodeInt(n, radix, alphabet, length) {
+    return encodeIntR(n, radix, alphabet, length).reverse();
+}
+
+module.exports = {
+    BASE62,
+    MAX_RADIX,
+    alphabetInfo,
+    resolveAlphabet,
+    validate,
+    toNumerals,
+    fromNumerals,
+    radixPower,
+    numeralsToBigR,
+    bigToNumeralsR,
+    decodeInt,
+    decodeIntR,
+    encodeInt,
+    encodeIntR
+};
@@ -0,0 +1,136 @@
+/*
+ * Error classes thrown by the FPE ciphers
+ *
+ * Copyright (c) 2021 Schoening Consulting LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and limitations under the License.
+ */
+
+// Base class for all errors thrown by this package
+
+class FPEError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = this.constructor.name;
+    }
+}
+
+// Misconfiguration: the cipher key is not valid hex or not 128, 192 or 256 bits
+
+class InvalidKeyError extends FPEError {
+    constructor(message, keyLength) {
+        super(message);
+        this.keyLength = keyLength;
+    }
+}
+
+// Misconfiguration: no key with this ID is in the keyring
+
+class UnknownKeyError extends InvalidKeyError {
+    constructor(keyId) {
+        super(`unknown key ID ${keyId}`);
+        this.keyId = keyId;
+    }
+}
+
+// Misconfiguration: the tweak is not valid hex or has an unsupported length
+
+class InvalidTweakError extends FPEError {
+    constructor(message, tweakLength) {
+        super(message);
+        this.tweakLength = tweakLength;
+    }
+}
+
+// Misconfiguration: the radix or alphabet is not supported
+
+class InvalidRadixError extends FPEError {
+    constructor(message, radix) {
+        super(message);
+        this.radix = radix;
+    }
+}
+
+// Misconfiguration: the domain of a helper, such as an integer range, is smaller than DOMAIN_MIN or too large
+// for the cipher's maxLen
+
+class InvalidDomainError extends FPEError {
+    constructor(message, domainSize) {
+        super(message);
+        this.domainSize = domainSize;
+    }
+}
+
+// Policy: a UsageMeter's hard limit of uses for a tweak, or for the key when tweak is undefined, has been reached
+
+class UsageLimitError extends FPEError {
+    constructor(limit, tweak) {
+        super(`usage limit ${limit} reached for ${(tweak === undefined) ? 'the key' : 'tweak ' + tweak}`);
+        this.limit = limit;
+        this.tweak = tweak;
+    }
+}
+
+// Bad data: the message length is outside [minLen..maxLen]
+
+class InvalidLengthError extends FPEError {
+    constructor(length, minLen, maxLen) {
+        super(`message length ${length} is not within min ${minLen} and max ${maxLen} bounds`);
+        this.length = length;
+        this.minLen = minLen;
+        this.maxLen = maxLen;
+    }
+}
+
+// Bad data: a character is not in the cipher's alphabet. position counts code points.
+
+class InvalidCharacterError extends FPEError {
+    constructor(character, position, radix) {
+        super(`character '${character}' at position ${position} is not in the radix ${radix} alphabet`);
+        this.character = character;
+        this.position = position;
+        this.radix = radix;
+    }
+}
+
+// Bad data: a value is not a string, or does not match the pattern of a format-preserving helper. position
+// counts code points and is undefined when the whole value fails to match.
+
+class InvalidFormatError extends FPEError {
+    constructor(message, position) {
+        super(message);
+        this.position = position;
+    }
+}
+
+// Cycle walking did not reach a valid value within the iteration cap
+
+class CycleLimitError extends FPEError {
+    constructor(cycles) {
+        super(`no valid value found after ${cycles} cycles`);
+        this.cycles = cycles;
+    }
+}
+
+module.exports = {
+    FPEError,
+    InvalidKeyError,
+    UnknownKeyError,
+    InvalidTweakError,
+    InvalidRadixError,
+    InvalidDomainError,
+    UsageLimitError,
+    InvalidLengthError,
+    InvalidCharacterError,
+    InvalidFormatError,
+    CycleLimitError
+};
@@ -0,0 +1,262 @@
+/*
+ * FF3 Feistel rounds shared by the Node and Web Crypto ciphers
+ *
+ * Copyright (c) 2021 Schoening Consulting LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and limitations under the License.
+ *
+ * This module uses only Uint8Array and BigInt, not Buffer or the Node crypto module, so it runs in browsers.
+ * The Feistel rounds are a generator that yields each AES input block and receives its output, so the same
+ * rounds drive the synchronous Node AES in FF3Cipher and the asynchronous crypto.subtle AES in FF3CipherAsync.
+ */
+
+const { BASE62, MAX_RADIX, decodeIntR, toNumerals, fromNumerals, radixPower, numeralsToBigR, bigToNumeralsR } = require('./alphabet');
+const { InvalidKeyError, InvalidTweakError, InvalidRadixError, InvalidLengthError, InvalidCharacterError,
+    InvalidFormatError } = require('./errors');
+
+const DOMAIN_MIN =  1000000;  // 1M is currently recommended in FF3-1
+const NUM_ROUNDS =   8;
+const BLOCK_SIZE =   16;      // AES BlockSize
+const TWEAK_LEN =    8;       // Original FF3 64-bit tweak length
+const TWEAK_LEN_NEW =7;       // FF3-1 56-bit tweak length
+const HALF_TWEAK_LEN = TWEAK_LEN/2;
+const HEX_PATTERN =  /^([0-9a-fA-F]{2})*$/;
+const MASK32 =       0xFFFFFFFFn;
+
+function hexToBytes(hex) {
+    const bytes = new Uint8Array(hex.length / 2);
+    for (let i = 0; i < bytes.length; ++i) {
+        bytes[i] = parseInt(hex.substring(2 * i, 2 * i + 2), 16);
+    }
+    return bytes;
+}
+
+// Javascript % is remainder
+
+function mod(n, m) { return ((n % m) + m) % m; }
+
+// Parse a hex string or Uint8Array key, returning a new array of the reversed key bytes that FF3 uses for AES.
+// The caller wipes the returned bytes with fill(0) once the AES key has been created.
+
+function parseKey(key) {
+    let keyBytes;
+    if (key instanceof Uint8Array) {
+        keyBytes = Uint8Array.from(key).reverse();
+    } else if ((typeof key === 'string') && HEX_PATTERN.test(key)) {
+        keyBytes = hexToBytes(key).reverse();
+    } else {
+        throw new InvalidKeyError("key must be a hex string or Uint8Array");
+    }
+
+    // Check if the key is 128, 192, or 256 bits = 16, 24, or 32 bytes
+    const keyLen = keyBytes.length;
+    if ((keyLen !== 16) && (keyLen !== 24) && (keyLen !== 32)) {
+        keyBytes.fill(0);
+        throw new InvalidKeyError("key length " + keyLen + " but must be 128, 192, or 256 bits", keyLen);
+    }
+    return keyBytes;
+}
+
+// Calculate range of supported message lengths [minLen..maxLen]
+// radix 10: 6 ... 56, 26: 5 ... 40, 36: 4 .. 36
+
+function lengthBounds(radix) {
+    // FF3 allows radices in [2, 2^16]
+    if ((radix < 2) || (radix > MAX_RADIX)) {
+        throw new InvalidRadixError("radix must be between 2 and 65536, inclusive", radix);
+    }
+
+    // Per revised spec, radix^minLength >= 1,000,000
+    const minLen = Math.ceil(Math.log(DOMAIN_MIN) / Math.log(radix));
+
+    // We simplify the specs log[radix](2^96) to 96/log2(radix) using the log base change rule
+    const maxLen = (2 * Math.floor(Math.log(2**96)/Math.log(radix)));
+
+    // Make sure 2 <= minLength <= maxLength < 2*floor(log base radix of 2^96) is satisfied
+    if ((minLen < 2) || (maxLen < minLen)) {
+        throw new InvalidRadixError("minLen or maxLen invalid, adjust your radix", radix);
+    }
+    return { minLen, maxLen };
+}
+
+// Write REV(P) for round i into block, where P = W xor [i]_4 || [x]_12. x is NUM(REV(B)) or NUM(REV(A)),
+// and is less than 2^96 given maxLen. Writing the reversed block directly avoids a copy and a reverse.
+
+function writeBlock(block, x, W, i) {
+    for (let k = 0; k < 12; k += 4) {
+        const word = Number(x & MASK32);
+        block[k] = word & 0xFF;
+        block[k + 1] = (word >>> 8) & 0xFF;
+        block[k + 2] = (word >>> 16) & 0xFF;
+        block[k + 3] = word >>> 24;
+        x >>= 32n;
+    }
+    block[12] = W[3] ^ i;
+    block[13] = W[2];
+    block[14] = W[1];
+    block[15] = W[0];
+}
+
+// NUM(REV(S)): the AES output as a little-endian integer, read 32 bits at a time
+
+function readBlock(S) {
+    let y = 0n;
+    for (let k = BLOCK_SIZE - 4; k >= 0; k -= 4) {
+        const word = (S[k] | (S[k + 1] << 8) | (S[k + 2] << 16) | (S[k + 3] << 24)) >>> 0;
+        y = (y << 32n) | BigInt(word);
+    }
+    return y;
+}
+
+// B is a numeral string of alphabet, by default the first radix characters of BASE62. A character outside the
+// alphabet, or past its first radix characters, throws InvalidCharacterError.
+
+function calculateP(i, radix, W, B, alphabet=BASE62.slice(0, radix)) {
+    const P = new Uint8Array(BLOCK_SIZE);
+    writeBlock(P, decodeIntR(B, radix, alphabet), W, i);
+    return P.reverse();
+}
+
+function calculateTweak64_FF3_1(tweak56) {
+    let tweak64 = new Uint8Array(8);
+    tweak64[0] = tweak56[0];
+    tweak64[1] = tweak56[1];
+    tweak64[2] = tweak56[2];
+    tweak64[3] = (tweak56[3] & 0xF0);
+    tweak64[4] = tweak56[4];
+    tweak64[5] = tweak56[5];
+    tweak64[6] = tweak56[6];
+    tweak64[7] = ((tweak56[3] & 0x0F) << 4);
+    return tweak64;
+}
+
+// Convert a hex tweak to bytes, expanding a 56-bit FF3-1 tweak to 64 bits
+
+function parseTweak(tweak) {
+    if ((typeof tweak !== 'string') || !HEX_PATTERN.test(tweak)) {
+        throw new InvalidTweakError("tweak must be a hex string");
+    }
+    let tweakBytes = hexToBytes(tweak);
+
+    // Make sure the given the length of tweak in bits is 56 or 64
+    if ((tweakBytes.length !== TWEAK_LEN) && (tweakBytes.length !== TWEAK_LEN_NEW)) {
+        throw new InvalidTweakError(`tweak length ${tweakBytes.length} is invalid: tweak must be 56 or 64 bits`, tweakBytes.length);
+    }
+    if (tweakBytes.length == TWEAK_LEN_NEW) {
+        tweakBytes = calculateTweak64_FF3_1(tweakBytes);
+    }
+    return tweakBytes;
+}
+
+// The id a UsageMeter counts a tweak by, as uppercase hex. A 56-bit FF3-1 tweak and its 64-bit expansion are
+// the same tweak, so a 64-bit tweak that is an expansion is given in its 56-bit form.
+
+function tweakId(tweakBytes) {
+    let bytes = tweakBytes;
+    if (((bytes[3] & 0x0F) === 0) && ((bytes[7] & 0x0F) === 0)) {
+        bytes = [bytes[0], bytes[1], bytes[2], bytes[3] | (bytes[7] >> 4), bytes[4], bytes[5], bytes[6]];
+    }
+    return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('').toUpperCase();
+}
+
+/*
+ * The FF3 Feistel rounds for cipher, which has radix, alphabet, minLen and maxLen. Each round yields the
+ * reversed 16-byte P block and expects the AES encryption of that block back from next(). The same block
+ * is reused for every round, so it must be consumed before calling next().
+ * The generator returns the encrypted or decrypted text.
+ *
+ * The halves A and B are carried between rounds as their values NUM(REV(A)) and NUM(REV(B)) rather than
+ * as numeral strings, since each round's C is only ever read back as a number. The message is converted
+ * to numerals once on the way in and once on the way out.
+ */
+function* feistel(cipher, text, tweakBytes, isEncrypt) {
+    const { radix, alphabet } = cipher;
+    if (typeof text !== 'string') {
+        throw new InvalidFormatError(`message must be a string, not ${(text === null) ? 'null' : typeof text}`);
+    }
+    const numerals = toNumerals(text, alphabet);
+    const n = numerals.length;
+
+    // Check if message length is within minLength and maxLength bounds
+    if ((n < cipher.minLen) || (n > cipher.maxLen)) {
+        throw new InvalidLengthError(n, cipher.minLen, cipher.maxLen);
+    }
+
+    // Check if the message is formatted in the current alphabet
+    const bad = numerals.indexOf(-1);
+    if (bad !== -1) {
+        throw new InvalidCharacterError(Array.from(text)[bad], bad, radix);
+    }
+
+    // Calculate split point
+    const u = Math.ceil(n / 2.0);
+    const v = n - u;
+
+    // Split the message
+    let A = numeralsToBigR(numerals, 0, u, radix);
+    let B = numeralsToBigR(numerals, u, n, radix);
+
+    // Split the tweak
+    const Tl = tweakBytes.subarray(0,HALF_TWEAK_LEN);
+    const Tr = tweakBytes.subarray(HALF_TWEAK_LEN, TWEAK_LEN);
+
+    // The modulus is one of 2 values, depending on whether i is even or odd, and is cached per radix and length
+    const modU = radixPower(radix, u);
+    const modV = radixPower(radix, v);
+
+    const P = new Uint8Array(BLOCK_SIZE);
+
+    for (let r = 0; r < NUM_ROUNDS; ++r) {
+        // Decryption runs the rounds in reverse order with the halves swapped
+        const i = isEncrypt ? r : NUM_ROUNDS - 1 - r;
+
+        // Determine alternating Feistel round side, right or left
+        const even = (i % 2 === 0);
+        const W = even ? Tr : Tl;
+
+        // P is fixed-length 16 bytes
+        writeBlock(P, isEncrypt ? B : A, W, i);
+
+        // S is the AES encryption of P, and y = NUM(REV(S))
+        const y = readBlock(yield P);
+
+        // Calculate c, then the final steps
+        if (isEncrypt) {
+            const C = (A + y) % (even ? modU : modV);
+            A = B;
+            B = C;
+        } else {
+            const C = mod(B - y, even ? modU : modV);
+            B = A;
+            A = C;
+        }
+    }
+
+    // Convert A and B back to numerals using the alphabet and lengths u and v
+    bigToNumeralsR(A, numerals, 0, u, radix);
+    bigToNumeralsR(B, numerals, u, v, radix);
+    return fromNumerals(numerals, alphabet);
+}
+
+module.exports = {
+    DOMAIN_MIN,
+    BLOCK_SIZE,
+    TWEAK_LEN_NEW,
+    mod,
+    parseKey,
+    lengthBounds,
+    calculateP,
+    calculateTweak64_FF3_1,
+    parseTweak,
+    tweakId,
+    feistel
+};
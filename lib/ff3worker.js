@@ -0,0 +1,46 @@
+/*
+ * Worker thread for FF3Pool, holding one FF3Cipher and encrypting or decrypting batches posted to it
+ *
+ * Copyright (c) 2021 Schoening Consulting LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and limitations under the License.
+ *
+ * Messages:
+ *   in    { values, tweak, isEncrypt }
+ *   out   { results } in the same order, or { index, error: { name, message, ...details } } for the first
+ *         value that failed
+ */
+
+const { parentPort, workerData } = require('worker_threads');
+const FF3Cipher = require('./FF3Cipher');
+
+// workerData.key is a secret KeyObject, so the key bytes are never copied into a message
+const cipher = new FF3Cipher(workerData.key, workerData.tweak, workerData.radix);
+
+// Errors lose their class when posted, so the name and own properties are sent and the pool rebuilds the error
+
+function errorBody(ex) {
+    return { ...ex, name: ex.name, message: ex.message };
+}
+
+parentPort.on('message', ({ values, tweak, isEncrypt }) => {
+    const results = new Array(values.length);
+    for (let i = 0; i < values.length; ++i) {
+        try {
+            results[i] = isEncrypt ? cipher.encrypt(values[i], tweak) : cipher.decrypt(values[i], tweak);
+        } catch (ex) {
+            parentPort.postMessage({ index: i, error: errorBody(ex) });
+            return;
+        }
+    }
+    parentPort.postMessage({ results });
+});
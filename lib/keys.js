@@ -0,0 +1,61 @@
+/*
+ * Key material handling shared by the Node FF1 and FF3 ciphers
+ *
+ * Copyright (c) 2021 Schoening Consulting LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and limitations under the License.
+ */
+
+const crypto = require('crypto');
+const { InvalidKeyError } = require('./errors');
+const { TWEAK_LEN_NEW } = require('./ff3core');
+
+const HEX_PATTERN =  /^([0-9a-fA-F]{2})*$/;
+
+// Copy a hex string, Buffer, Uint8Array or secret KeyObject key into a new Buffer.
+// The caller owns the copy and wipes it with fill(0) once the AES cipher has been created.
+
+function keyBytes(key) {
+    if (key instanceof crypto.KeyObject) {
+        if (key.type !== 'secret') {
+            throw new InvalidKeyError("KeyObject key must be a secret key");
+        }
+        return key.export();
+    }
+    if (key instanceof Uint8Array) {
+        return Buffer.from(key);
+    }
+    if ((typeof key === 'string') && HEX_PATTERN.test(key)) {
+        return Buffer.from(key, 'hex');
+    }
+    throw new InvalidKeyError("key must be a hex string, Buffer, Uint8Array or secret KeyObject");
+}
+
+// HMAC-SHA256 of context values under keyBytes, as a 56-bit FF3-1 tweak in uppercase hex. Each value is
+// length-prefixed, so ("ab", "c") and ("a", "bc") derive different tweaks. keyBytes is not checked here.
+
+function hmacTweak(keyBytes, context) {
+    const hmac = crypto.createHmac('sha256', keyBytes);
+    for (const value of context) {
+        const bytes = Buffer.from(String(value), 'utf8');
+        const len = Buffer.alloc(4);
+        len.writeUInt32BE(bytes.length);
+        hmac.update(len);
+        hmac.update(bytes);
+    }
+    return hmac.digest().subarray(0, TWEAK_LEN_NEW).toString('hex').toUpperCase();
+}
+
+module.exports = {
+    keyBytes,
+    hmacTweak
+};
@@ -0,0 +1,253 @@
+/*
+ * Declarative field-level encryption of JSON documents
+ *
+ * Copyright (c) 2021 Schoening Consulting LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and limitations under the License.
+ *
+ * A policy maps paths in a document to cipher settings:
+ *
+ *   {
+ *     key, tweak,              // defaults for every field
+ *     tweakKey,                // hex HMAC key for fields with a tweakContext
+ *     mode: 'strict',          // or 'lenient'
+ *     onError(err, path),      // called for fields skipped in lenient mode
+ *     fields: {
+ *       'customer.ssn':     { format: '###-##-####' },
+ *       'customer.email':   { radix: 36, helper: 'email' },
+ *       'orders[*].card':   { helper: 'card', tweakContext: ['orders', 'card'] },
+ *       'tags[*]':          { alphabet: 'ABCDEFGHIJKLMNOPQRSTUVWXYZ', algorithm: 'ff1' },
+ *       'legacy.id':        someCipher
+ *     }
+ *   }
+ *
+ * Paths are dotted property names with [n] for an array index and [*] for every element of an array.
+ * A field is either any object with encrypt and decrypt, or settings with:
+ *   algorithm       'ff3' (default) or 'ff1'
+ *   radix/alphabet  the cipher's radix (default 10) or custom alphabet
+ *   key             overrides the policy key
+ *   tweak           overrides the policy tweak, or
+ *   tweakContext    an array of values for FF3Cipher.deriveTweak with the policy's tweakKey
+ *   format          a FormatEncryptor mask or RegExp
+ *   helper          'email', 'date', 'ip', 'card', 'integer' or 'long', with its constructor options in options
+ *
+ * Ciphers are created when a policy is first used and cached with it, so a policy should not be changed
+ * after use.
+ */
+
+const FF3Cipher = require('./FF3Cipher');
+const FF1Cipher = require('./FF1Cipher');
+const FormatEncryptor = require('./FormatEncryptor');
+const EmailCipher = require('./EmailCipher');
+const SmallDomainCipher = require('./SmallDomainCipher');
+const DateCipher = require('./DateCipher');
+const IPCipher = require('./IPCipher');
+const CardTokenizer = require('./CardTokenizer');
+const IntegerRangeCipher = require('./IntegerRangeCipher');
+const LongMessageCipher = require('./LongMessageCipher');
+const { InvalidFormatError } = require('./errors');
+
+const ALGORITHMS = { ff3: FF3Cipher, ff1: FF1Cipher };
+
+const HELPERS = {
+    email: (cipher, options) => new EmailCipher(cipher, options),
+    date: (cipher, options) => new DateCipher(cipher, options),
+    ip: (cipher, options) => new IPCipher(cipher, options),
+    card: (cipher, options) => new CardTokenizer(cipher, options),
+    integer: (cipher, options) => new IntegerRangeCipher(cipher, options.min, options.max, options),
+    long: (cipher) => new LongMessageCipher(cipher)
+};
+
+const NUMBER_HELPERS = ['integer', 'date'];
+const MODES = ['strict', 'lenient'];
+const SEGMENT_PATTERN = /([^.[\]]+)|\[(\*|[0-9]+)\]/g;
+
+// Split a path such as "orders[*].items[0].sku" into property names, array indexes and wildcards
+
+function parsePath(path) {
+    const segments = [];
+    let end = 0;
+    for (const m of path.matchAll(SEGMENT_PATTERN)) {
+        // A property name after the first segment follows a dot, and an index follows directly
+        const gap = path.substring(end, m.index);
+        const expected = (m[1] !== undefined && segments.length > 0) ? '.' : '';
+        if (gap !== expected) {
+            throw new TypeError(`invalid path ${path}`);
+        }
+        if (m[1] !== undefined) {
+            segments.push({ name: m[1] });
+        } else if (m[2] === '*') {
+            segments.push({ wildcard: true });
+        } else {
+            segments.push({ index: Number(m[2]) });
+        }
+        end = m.index + m[0].length;
+    }
+    if ((segments.length === 0) || (end !== path.length)) {
+        throw new TypeError(`invalid path ${path}`);
+    }
+    return segments;
+}
+
+/* Create the cipher for a field's settings, with the key and tweak defaulting to those of policy */
+function createCipher(policy, config) {
+    if (typeof config.encrypt === 'function') {
+        return config;
+    }
+    const Cipher = ALGORITHMS[config.algorithm || 'ff3'];
+    if (Cipher === undefined) {
+        throw new TypeError(`unknown algorithm ${config.algorithm}`);
+    }
+    let tweak = (config.tweak !== undefined) ? config.tweak : policy.tweak;
+    if (config.tweakContext !== undefined) {
+        if (policy.tweakKey === undefined) {
+            throw new TypeError("tweakContext requires the policy's tweakKey");
+        }
+        tweak = FF3Cipher.deriveTweak(policy.tweakKey, ...config.tweakContext);
+    }
+    const radix = (config.alphabet !== undefined) ? config.alphabet : (config.radix || 10);
+    const key = (config.key !== undefined) ? config.key : policy.key;
+    let cipher = new Cipher(key, tweak, radix);
+
+    if (config.helper !== undefined) {
+        const helper = HELPERS[config.helper];
+        if (helper === undefined) {
+            throw new TypeError(`unknown helper ${config.helper}`);
+        }
+        let options = config.options || {};
+        // Email parts, IP host parts and date windows too small for FF3 are encrypted with a SmallDomainCipher
+        // under the same key and tweak
+        const short = ['email', 'ip', 'date'].includes(config.helper);
+        if (short && (Cipher === FF3Cipher) && (options.shortCipher === undefined)) {
+            options = { ...options, shortCipher: new SmallDomainCipher(key, tweak, radix) };
+        }
+        cipher = helper(cipher, options);
+    }
+    if (config.format !== undefined) {
+        cipher = new FormatEncryptor(cipher, config.format);
+    }
+    return cipher;
+}
+
+// Compile a policy into its paths and ciphers, once per policy object
+
+const compiled = new WeakMap();
+
+function compile(policy) {
+    let fields = compiled.get(policy);
+    if (fields === undefined) {
+        const mode = policy.mode || 'strict';
+        if (!MODES.includes(mode)) {
+            throw new TypeError(`unknown mode ${mode}`);
+        }
+        fields = Object.entries(policy.fields || {}).map(([path, config]) => ({
+            path,
+            segments: parsePath(path),
+            cipher: createCipher(policy, config),
+            // The integer and date helpers take numbers, ciphers and the other helpers take strings
+            numbers: (typeof config.encrypt === 'function') || NUMBER_HELPERS.includes(config.helper)
+        }));
+        compiled.set(policy, fields);
+    }
+    return fields;
+}
+
+function formatPath(segments) {
+    return segments.map((s, i) => (s.name !== undefined) ? (i === 0 ? s.name : '.' + s.name) : `[${s.index}]`).join('');
+}
+
+/*
+ * Return a copy of node with the value at segments[i..] replaced by transform(value, path). Only the objects
+ * and arrays along the path are copied. failed(err, path) handles a missing or malformed field, and returns
+ * normally to leave it unchanged.
+ */
+function transformAt(node, segments, i, concrete, transform, failed) {
+    if (i === segments.length) {
+        return transform(node, formatPath(concrete));
+    }
+    const segment = segments[i];
+    if (segment.wildcard) {
+        if (!Array.isArray(node)) {
+            failed(new InvalidFormatError(`${formatPath(concrete)} is not an array`), formatPath(concrete));
+            return node;
+        }
+        return node.map((item, index) =>
+            transformAt(item, segments, i + 1, concrete.concat({ index }), transform, failed));
+    }
+
+    const key = (segment.name !== undefined) ? segment.name : segment.index;
+    const path = concrete.concat(segment);
+    const isContainer = (segment.name !== undefined) ? (node !== null && typeof node === 'object' && !Array.isArray(node)) :
+        Array.isArray(node);
+    if (!isContainer || node[key] === undefined || node[key] === null) {
+        failed(new InvalidFormatError(`${formatPath(path)} is missing`), formatPath(path));
+        return node;
+    }
+    const value = transformAt(node[key], segments, i + 1, path, transform, failed);
+    if (value === node[key]) {
+        return node;
+    }
+    const copy = Array.isArray(node) ? node.slice() : { ...node };
+    copy[key] = value;
+    return copy;
+}
+
+function transformObject(doc, policy, isEncrypt) {
+    const fields = compile(policy);
+    const lenient = (policy.mode === 'lenient');
+    const failed = (err, path) => {
+        err.path = path;
+        if (!lenient) {
+            throw err;
+        }
+        if (typeof policy.onError === 'function') {
+            policy.onError(err, path);
+        }
+    };
+
+    let result = doc;
+    for (const { segments, cipher, numbers } of fields) {
+        result = transformAt(result, segments, 0, [], (value, path) => {
+            try {
+                const isNumber = (typeof value === 'number') || (typeof value === 'bigint');
+                if ((typeof value !== 'string') && !(numbers && isNumber)) {
+                    throw new InvalidFormatError(`${path} is not a string${numbers ? ' or number' : ''}`);
+                }
+                return isEncrypt ? cipher.encrypt(value) : cipher.decrypt(value);
+            } catch (ex) {
+                failed(ex, path);
+                return value;
+            }
+        }, failed);
+    }
+    return result;
+}
+
+/*
+ * Return a copy of doc with the fields in policy encrypted. In strict mode (default) a missing or malformed
+ * field throws, with the field's path in err.path. In lenient mode it is left unchanged and reported to
+ * policy.onError(err, path).
+ */
+function encryptObject(doc, policy) {
+    return transformObject(doc, policy, true);
+}
+
+/* Return a copy of doc with the fields in policy decrypted, reporting errors as encryptObject does */
+function decryptObject(doc, policy) {
+    return transformObject(doc, policy, false);
+}
+
+module.exports = {
+    createCipher,
+    encryptObject,
+    decryptObject
+};
@@ -0,0 +1,209 @@
+/*
+ * HTTP tokenization service, so services in other languages can use FPE without holding keys
+ *
+ * Copyright (c) 2021 Schoening Consulting LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and limitations under the License.
+ *
+ * Routes:
+ *   POST /encrypt, POST /decrypt   body [{ value, profile, tweak }, ...], tweak optional
+ *                                  200 { results: [{ value } or { error }, ...] } in the same order
+ *   GET /health                    200 { status: 'ok', profiles: [...] }
+ *
+ * A failed item has error { type, message } plus the error's details, such as position, and does not fail
+ * the batch. A bad request is answered with its status code and { error: { type, message } }.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const { createCipher } = require('./objectEncryption');
+const { FPEError, InvalidKeyError } = require('./errors');
+
+const MAX_BODY =     1024 * 1024;
+const MAX_BATCH =    10000;
+
+// Resolve a profile's key from key, keyEnv (an environment variable name) or keyFile
+
+function loadKey(name, profile) {
+    if (profile.key !== undefined) {
+        return profile.key;
+    }
+    if (profile.keyEnv !== undefined) {
+        const key = process.env[profile.keyEnv];
+        if (!key) {
+            throw new InvalidKeyError(`profile ${name}: environment variable ${profile.keyEnv} is not set`);
+        }
+        return key.trim();
+    }
+    if (profile.keyFile !== undefined) {
+        return fs.readFileSync(profile.keyFile, 'utf8').trim();
+    }
+    throw new InvalidKeyError(`profile ${name} has no key, keyEnv or keyFile`);
+}
+
+// An error's type, message and own details, e.g. position and radix, without its stack
+
+function errorBody(ex) {
+    const error = { type: ex.name, message: ex.message };
+    if (ex instanceof FPEError) {
+        for (const [k, v] of Object.entries(ex)) {
+            if (k !== 'name') {
+                error[k] = (typeof v === 'bigint') ? String(v) : v;
+            }
+        }
+    }
+    return error;
+}
+
+class RequestError extends Error {
+    constructor(status, type, message) {
+        super(message);
+        this.name = type;
+        this.status = status;
+    }
+}
+
+function send(res, status, body) {
+    const json = JSON.stringify(body);
+    res.writeHead(status, { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(json) });
+    res.end(json);
+}
+
+function readBody(req, maxBody, callback) {
+    const chunks = [];
+    let size = 0;
+    let done = false;
+    req.on('data', (chunk) => {
+        size += chunk.length;
+        if (size > maxBody && !done) {
+            done = true;
+            callback(new RequestError(413, 'PayloadTooLarge', `request body is larger than ${maxBody} bytes`));
+            req.resume();
+        } else if (!done) {
+            chunks.push(chunk);
+        }
+    });
+    req.on('end', () => {
+        if (!done) {
+            done = true;
+            callback(null, Buffer.concat(chunks).toString('utf8'));
+        }
+    });
+    req.on('error', (err) => {
+        if (!done) {
+            done = true;
+            callback(err);
+        }
+    });
+}
+
+function parseBatch(body, maxBatch) {
+    let items;
+    try {
+        items = JSON.parse(body);
+    } catch (ex) {
+        throw new RequestError(400, 'InvalidJSON', "request body is not valid JSON");
+    }
+    if (!Array.isArray(items)) {
+        throw new RequestError(400, 'InvalidBatch', "request body must be an array of { value, profile, tweak }");
+    }
+    if (items.length > maxBatch) {
+        throw new RequestError(413, 'BatchTooLarge', `batch has ${items.length} items but the limit is ${maxBatch}`);
+    }
+    return items;
+}
+
+/*
+ * Create an http.Server for the tokenization routes. Keys are loaded and ciphers created here, so a bad
+ * profile fails at startup rather than on the first request.
+ * options.profiles maps a profile name to the field settings of encryptObject, e.g. { radix, alphabet,
+ *   tweak, helper, format }, with the key given by key, keyEnv or keyFile
+ * options.token, if set, is required as "Authorization: Bearer <token>" on the encrypt and decrypt routes
+ * options.maxBody and options.maxBatch limit the request size (default 1 MiB and 10000 items)
+ */
+function createServer(options) {
+    const ciphers = new Map();
+    for (const [name, profile] of Object.entries(options.profiles || {})) {
+        ciphers.set(name, createCipher({}, { ...profile, key: loadKey(name, profile) }));
+    }
+    const maxBody = options.maxBody || MAX_BODY;
+    const maxBatch = options.maxBatch || MAX_BATCH;
+    const token = (options.token !== undefined) ? crypto.createHash('sha256').update(options.token).digest() : null;
+
+    // Hashing both sides gives timingSafeEqual equal lengths
+    function authorized(req) {
+        if (token === null) {
+            return true;
+        }
+        const header = req.headers.authorization || '';
+        const given = crypto.createHash('sha256').update(header.replace(/^Bearer /, '')).digest();
+        return header.startsWith('Bearer ') && crypto.timingSafeEqual(given, token);
+    }
+
+    function transform(item, isEncrypt) {
+        try {
+            if (item === null || typeof item !== 'object') {
+                throw new RequestError(400, 'InvalidItem', "item must be an object { value, profile, tweak }");
+            }
+            const cipher = ciphers.get(item.profile);
+            if (cipher === undefined) {
+                throw new RequestError(404, 'UnknownProfile', `unknown profile ${item.profile}`);
+            }
+            const value = isEncrypt ? cipher.encrypt(item.value, item.tweak) : cipher.decrypt(item.value, item.tweak);
+            return { value: (typeof value === 'bigint') ? String(value) : value };
+        } catch (ex) {
+            return { error: errorBody(ex) };
+        }
+    }
+
+    const server = http.createServer((req, res) => {
+        const url = req.url.split('?')[0];
+        if (url === '/health') {
+            if (req.method !== 'GET') {
+                send(res, 405, { error: { type: 'MethodNotAllowed', message: "use GET" } });
+                return;
+            }
+            send(res, 200, { status: 'ok', profiles: Array.from(ciphers.keys()) });
+            return;
+        }
+        if ((url !== '/encrypt') && (url !== '/decrypt')) {
+            send(res, 404, { error: { type: 'NotFound', message: `no route ${url}` } });
+            return;
+        }
+        if (req.method !== 'POST') {
+            send(res, 405, { error: { type: 'MethodNotAllowed', message: "use POST" } });
+            return;
+        }
+        if (!authorized(req)) {
+            send(res, 401, { error: { type: 'Unauthorized', message: "missing or wrong bearer token" } });
+            return;
+        }
+        readBody(req, maxBody, (err, body) => {
+            try {
+                if (err) {
+                    throw err;
+                }
+                const items = parseBatch(body, maxBatch);
+                const isEncrypt = (url === '/encrypt');
+                send(res, 200, { results: items.map(item => transform(item, isEncrypt)) });
+            } catch (ex) {
+                send(res, ex.status || 500, { error: errorBody(ex) });
+            }
+        });
+    });
+    return server;
+}
+
+module.exports = {
+    createServer
+};
@@ -0,0 +1,76 @@
+const test = require('tape');
+const FF3Cipher = require('../lib/FF3Cipher');
+const CardTokenizer = require('../lib/CardTokenizer');
+const { InvalidRadixError, InvalidLengthError, InvalidFormatError } = require('../lib/errors');
+
+const key = "EF4359D8D580AA4F7F036D6F04FC6A94";
+const tweak = "D8E7920AFA330A";
+
+test('luhnCheck', (t) => {
+  t.plan(3);
+  t.ok(CardTokenizer.luhnCheck("4000001234567899"));
+  t.ok(CardTokenizer.luhnCheck("79927398713"));
+  t.notOk(CardTokenizer.luhnCheck("4000001234567890"));
+});
+
+test('16 digit PAN', (t) => {
+  t.plan(5);
+  const card = new CardTokenizer(new FF3Cipher(key, tweak));
+  const pan = "4000001234567899";
+  let token = card.encrypt(pan);
+  t.equal(token.substring(0, 6), "400000");
+  t.equal(token.substring(12), "7899");
+  t.notEqual(token, pan);
+  t.ok(CardTokenizer.luhnCheck(token));
+  t.equal(card.decrypt(token), pan);
+});
+
+test('19 digit PAN', (t) => {
+  t.plan(4);
+  const card = new CardTokenizer(new FF3Cipher(key, tweak));
+  const pan = "6011000990139424132";
+  let token = card.encrypt(pan, "9A768A92F60E12D8");
+  t.equal(token.length, 19);
+  t.ok(CardTokenizer.luhnCheck(token));
+  t.equal(card.decrypt(token, "9A768A92F60E12D8"), pan);
+  t.notEqual(card.decrypt(token), pan);
+});
+
+test('round trip', (t) => {
+  t.plan(1);
+  // every PAN in a range of Luhn-valid values decrypts exactly
+  const card = new CardTokenizer(new FF3Cipher(key, tweak));
+  let ok = true;
+  for (let i = 0; i < 200; i++) {
+    let pan = "411111" + String(100000 + i * 37) + "111";
+    const check = [...Array(10).keys()].find(d => CardTokenizer.luhnCheck(pan + d));
+    pan = pan + check;
+    const token = card.encrypt(pan);
+    ok = ok && CardTokenizer.luhnCheck(token) && token.startsWith("411111") && card.decrypt(token) === pan;
+  }
+  t.ok(ok);
+});
+
+test('short PAN', (t) => {
+  t.plan(5);
+  // 15 digit PAN has a 5 digit middle segment, below minLen 6
+  const pan = "378282246310005";
+  const card = new CardTokenizer(new FF3Cipher(key, tweak));
+  let token = card.encrypt(pan);
+  t.equal(token.substring(0, 5), "37828");
+  t.equal(token.substring(11), "0005");
+  t.ok(CardTokenizer.luhnCheck(token));
+  t.equal(card.decrypt(token), pan);
+
+  const strict = new CardTokenizer(new FF3Cipher(key, tweak), { short: 'error' });
+  t.throws(() => strict.encrypt(pan), InvalidLengthError);
+});
+
+test('errors', (t) => {
+  t.plan(4);
+  const card = new CardTokenizer(new FF3Cipher(key, tweak));
+  t.throws(() => card.encrypt("4000001234567890"), InvalidFormatError);
+  t.throws(() => card.encrypt("4000-0012-3456-7899"), InvalidFormatError);
+  t.throws(() => card.encrypt("40000012345"), InvalidFormatError);
+  t.throws(() => new CardTokenizer(new FF3Cipher(key, tweak, 16)), InvalidRadixError);
+});
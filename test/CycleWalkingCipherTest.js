@@ -0,0 +1,56 @@
+const test = require('tape');
+const FF3Cipher = require('../lib/FF3Cipher');
+const CycleWalkingCipher = require('../lib/CycleWalkingCipher');
+const { InvalidFormatError, CycleLimitError } = require('../lib/errors');
+
+const key = "EF4359D8D580AA4F7F036D6F04FC6A94";
+const tweak = "D8E7920AFA330A";
+
+// SSN area numbers cannot be 000, 666 or 900-999
+function isValidSSN(ssn) {
+  const area = ssn.substring(0, 3);
+  return area !== "000" && area !== "666" && area[0] !== "9";
+}
+
+test('constructor isValid', (t) => {
+  t.plan(2);
+  const c = new CycleWalkingCipher(new FF3Cipher(key, tweak), { isValid: isValidSSN });
+  let ok = true;
+  for (let i = 0; i < 100; i++) {
+    const ssn = String(100 + i * 5) + String(i * 4321).padStart(6, "0");
+    const ct = c.encrypt(ssn);
+    ok = ok && isValidSSN(ct) && c.decrypt(ct) === ssn;
+  }
+  t.ok(ok);
+  t.equal(c.encrypt("123456789"), c.encrypt("123456789"));
+});
+
+test('per-call isValid', (t) => {
+  t.plan(3);
+  // account numbers below a ceiling
+  const c = new CycleWalkingCipher(new FF3Cipher(key, tweak));
+  const isValid = (v) => Number(v) < 2500000;
+  const ct = c.encrypt("0012345", { isValid });
+  t.ok(Number(ct) < 2500000);
+  t.equal(c.decrypt(ct, { isValid }), "0012345");
+  // a per-call tweak is passed to the cipher
+  t.equal(c.decrypt(c.encrypt("0012345", { isValid, tweak: "9A768A92F60E12D8" }), { isValid, tweak: "9A768A92F60E12D8" }), "0012345");
+});
+
+test('errors', (t) => {
+  t.plan(7);
+  const c = new CycleWalkingCipher(new FF3Cipher(key, tweak), { isValid: isValidSSN, maxCycles: 1 });
+  t.throws(() => c.encrypt("666123456"), InvalidFormatError);
+  try {
+    // only 1 in 1000 values is accepted, so one cycle is not enough
+    c.encrypt("123456789", { isValid: (v) => v === "123456789" || v.startsWith("000") });
+  } catch (ex) {
+    t.ok(ex instanceof CycleLimitError);
+    t.equal(ex.cycles, 1);
+  }
+  t.throws(() => new CycleWalkingCipher(new FF3Cipher(key, tweak)).encrypt("123456789"), TypeError);
+  // an explicit 0 is not taken as the default
+  t.throws(() => new CycleWalkingCipher(new FF3Cipher(key, tweak), { isValid: isValidSSN, maxCycles: 0 }), RangeError);
+  t.throws(() => new CycleWalkingCipher(new FF3Cipher(key, tweak), { maxCycles: 2.5 }), RangeError);
+  t.throws(() => c.encrypt("123456789", { maxCycles: 0 }), RangeError);
+});
@@ -0,0 +1,81 @@
+const test = require('tape');
+const FF3Cipher = require('../lib/FF3Cipher');
+const SmallDomainCipher = require('../lib/SmallDomainCipher');
+const DateCipher = require('../lib/DateCipher');
+const { InvalidDomainError, InvalidFormatError } = require('../lib/errors');
+
+const key = "EF4359D8D580AA4F7F036D6F04FC6A94";
+const tweak = "D8E7920AFA330A";
+// the 47,847 days from 1900 to 2030 are fewer than DOMAIN_MIN, so they need a SmallDomainCipher
+const window = { start: "1900-01-01", end: "2030-12-31", shortCipher: new SmallDomainCipher(key, tweak) };
+
+test('iso and us dates', (t) => {
+  t.plan(6);
+  const c = new DateCipher(new FF3Cipher(key, tweak), window);
+  const iso = c.encrypt("1985-07-14");
+  t.match(iso, /^\d{4}-\d{2}-\d{2}$/);
+  t.ok(iso >= "1900-01-01" && iso <= "2030-12-31");
+  t.equal(c.decrypt(iso), "1985-07-14");
+
+  // the same day encrypts to the same day in either format
+  const us = c.encrypt("07/14/1985");
+  t.equal(us, `${iso.substring(5, 7)}/${iso.substring(8, 10)}/${iso.substring(0, 4)}`);
+  t.equal(c.decrypt(us), "07/14/1985");
+  t.notEqual(c.encrypt("1985-07-14", "9A768A92F60E12"), iso);
+});
+
+test('every result is a real date in the window', (t) => {
+  t.plan(1);
+  const c = new DateCipher(new FF3Cipher(key, tweak), { start: "2000-02-01", end: "2024-02-29", shortCipher: window.shortCipher });
+  let ok = true;
+  for (let day = 1; day <= 29; ++day) {
+    const date = `2024-02-${String(day).padStart(2, '0')}`;
+    const token = c.encrypt(date);
+    ok = ok && token >= "2000-02-01" && token <= "2024-02-29" && !Number.isNaN(Date.parse(token)) &&
+      c.decrypt(token) === date;
+  }
+  t.ok(ok);
+});
+
+test('epoch seconds', (t) => {
+  t.plan(6);
+  const c = new DateCipher(new FF3Cipher(key, tweak), window);
+  const start = Date.UTC(1900, 0, 1) / 1000, end = Date.UTC(2031, 0, 1) / 1000 - 1;
+  const token = c.encrypt(489974400);
+  t.equal(typeof token, 'number');
+  t.ok(token >= start && token <= end);
+  t.equal(c.decrypt(token), 489974400);
+  t.equal(c.decrypt(c.encrypt("-2208988800")), "-2208988800");
+  t.equal(typeof c.encrypt(489974400n), 'bigint');
+  t.throws(() => c.encrypt(end + 1), /outside the window/);
+});
+
+test('windows smaller than DOMAIN_MIN', (t) => {
+  t.plan(4);
+  const cipher = new FF3Cipher(key, tweak);
+  const ex = (() => {
+    try {
+      new DateCipher(cipher, { start: "1900-01-01", end: "2030-12-31" });
+    } catch (e) {
+      return e;
+    }
+  })();
+  t.ok(ex instanceof InvalidDomainError, 'days are not cycle walked through FF3-1');
+  t.equal(ex.domainSize, 47847n);
+  // the seconds of the window are encrypted with FF3-1 and the days with the shortCipher
+  const c = new DateCipher(cipher, window);
+  t.equal(c.seconds.cipher, cipher);
+  t.equal(c.days.cipher, window.shortCipher);
+});
+
+test('errors', (t) => {
+  t.plan(6);
+  const cipher = new FF3Cipher(key, tweak);
+  const c = new DateCipher(cipher, { ...window, format: 'iso' });
+  t.throws(() => c.encrypt("07/14/1985"), InvalidFormatError);
+  t.throws(() => c.encrypt("2023-02-29"), /not a real date/);
+  t.throws(() => c.encrypt("1899-12-31"), /outside the window/);
+  t.throws(() => new DateCipher(cipher, { start: "2030-01-01", end: "1900-01-01" }), InvalidDomainError);
+  t.throws(() => new DateCipher(cipher, { start: "01/01/1900", end: "2030-12-31" }), TypeError);
+  t.throws(() => new DateCipher(cipher, window).encrypt("July 14"), InvalidFormatError);
+});
@@ -0,0 +1,71 @@
+const test = require('tape');
+const FF3Cipher = require('../lib/FF3Cipher');
+const EmailCipher = require('../lib/EmailCipher');
+const SmallDomainCipher = require('../lib/SmallDomainCipher');
+const { InvalidRadixError, InvalidLengthError, InvalidFormatError } = require('../lib/errors');
+
+const key = "EF4359D8D580AA4F7F036D6F04FC6A94";
+const tweak = "D8E7920AFA330A";
+
+test('structure is preserved', (t) => {
+  t.plan(5);
+  const c = new EmailCipher(new FF3Cipher(key, tweak, 36));
+  const token = c.encrypt("John.Smith+news@Example.com");
+  t.match(token, /^[0-9a-z]{4}\.[0-9a-z]{5}\+[0-9a-z]{4}@example\.com$/);
+  t.equal(c.decrypt(token), "john.smith+news@example.com");
+  // the local part is encrypted as one numeral string, so the tag depends on the name
+  t.notEqual(c.encrypt("jane.smith+news@example.com").split('+')[1], token.split('+')[1]);
+
+  const kept = new EmailCipher(new FF3Cipher(key, tweak, 36), { tag: 'keep' }).encrypt("john.smith+news@example.com");
+  t.match(kept, /^[0-9a-z]{4}\.[0-9a-z]{5}\+news@example\.com$/);
+  t.equal(new EmailCipher(new FF3Cipher(key, tweak, 36), { tag: 'keep' }).decrypt(kept), "john.smith+news@example.com");
+});
+
+test('mixed case alphabet keeps case exactly', (t) => {
+  t.plan(1);
+  const c = new EmailCipher(new FF3Cipher(key, tweak, 62));
+  t.equal(c.decrypt(c.encrypt("John_Smith-99@Example.com")), "John_Smith-99@Example.com");
+});
+
+test('domain encryption', (t) => {
+  t.plan(3);
+  const c = new EmailCipher(new FF3Cipher(key, tweak, 36), { domain: 'encrypt' });
+  const token = c.encrypt("alice@mail.my-company.co.uk");
+  t.match(token, /^[0-9a-z]{5}@[0-9a-z]{4}\.[0-9a-z]{2}-[0-9a-z]{7}\.[0-9a-z]{2}\.uk$/);
+  t.equal(c.decrypt(token), "alice@mail.my-company.co.uk");
+  t.throws(() => new EmailCipher(new FF3Cipher(key, tweak, "0123456789abcdefghijklmnopqrstuvwxyz_"), { domain: 'encrypt' }),
+    InvalidRadixError);
+});
+
+test('short local parts', (t) => {
+  t.plan(10);
+  const shortCipher = new SmallDomainCipher(key, tweak, 36);
+  const c = new EmailCipher(new FF3Cipher(key, tweak, 36), { shortCipher });
+  // one numeral short is cycle walked with FF3
+  const walked = c.encrypt("joe@example.com");
+  t.match(walked, /^[0-9a-z]{3}@example\.com$/);
+  t.equal(c.decrypt(walked), "joe@example.com");
+
+  // shorter parts use the shortCipher, with bounded work
+  const start = Date.now();
+  const token = c.encrypt("a@example.com");
+  t.match(token, /^[0-9a-z]@example\.com$/);
+  t.equal(c.decrypt(token), "a@example.com");
+  t.equal(c.decrypt(c.encrypt("j.d@example.com")), "j.d@example.com");
+  t.ok(Date.now() - start < 1000, 'short parts are fast');
+  t.equal(c.decrypt(c.encrypt("+@example.com")), "+@example.com");
+
+  t.throws(() => new EmailCipher(new FF3Cipher(key, tweak, 36)).encrypt("a@example.com"), InvalidLengthError);
+  t.throws(() => new EmailCipher(new FF3Cipher(key, tweak, 36), { short: 'error' }).encrypt("joe@example.com"), InvalidLengthError);
+  t.throws(() => new EmailCipher(new FF3Cipher(key, tweak, 62), { shortCipher }), InvalidRadixError);
+});
+
+test('invalid addresses', (t) => {
+  t.plan(5);
+  const c = new EmailCipher(new FF3Cipher(key, tweak, 36));
+  t.throws(() => c.encrypt("john.smith"), InvalidFormatError);
+  t.throws(() => c.encrypt("john..smith@example.com"), InvalidFormatError);
+  t.throws(() => c.encrypt("john@localhost"), /valid domain/);
+  t.throws(() => c.encrypt("\"john smith\"@example.com"), InvalidFormatError);
+  t.throws(() => new EmailCipher(new FF3Cipher(key, tweak, "0123456789.abcdef")), InvalidRadixError);
+});
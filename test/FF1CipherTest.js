@@ -0,0 +1,89 @@
+const test = require('tape');
+const FF1Cipher = require('../lib/FF1Cipher');
+
+/*
+ * Unit Tests
+ */
+
+test('calculateP', (t) => {
+  t.plan(1);
+  // NIST Sample #1: radix 10, u 5, n 10, t 0
+  let P = FF1Cipher.calculateP(10, 5, 10, 0);
+  t.equal(P.toString('hex'), "01020100000a0a050000000a00000000");
+});
+
+/*
+ * Integration Tests
+ *
+ * NIST Test Vectors for 128, 198, and 256 bit modes
+ * https://csrc.nist.gov/CSRC/media/Projects/Cryptographic-Standards-and-Guidelines/documents/examples/FF1samples.pdf
+ */
+
+const samples = [
+  // AES-128
+  ["2B7E151628AED2A6ABF7158809CF4F3C", "", 10, "0123456789", "2433477484"],
+  ["2B7E151628AED2A6ABF7158809CF4F3C", "39383736353433323130", 10, "0123456789", "6124200773"],
+  ["2B7E151628AED2A6ABF7158809CF4F3C", "3737373770717273373737", 36, "0123456789abcdefghi", "a9tv40mll9kdu509eum"],
+  // AES-192
+  ["2B7E151628AED2A6ABF7158809CF4F3CEF4359D8D580AA4F", "", 10, "0123456789", "2830668132"],
+  ["2B7E151628AED2A6ABF7158809CF4F3CEF4359D8D580AA4F", "39383736353433323130", 10, "0123456789", "2496655549"],
+  ["2B7E151628AED2A6ABF7158809CF4F3CEF4359D8D580AA4F", "3737373770717273373737", 36, "0123456789abcdefghi", "xbj3kv35jrawxv32ysr"],
+  // AES-256
+  ["2B7E151628AED2A6ABF7158809CF4F3CEF4359D8D580AA4F7F036D6F04FC6A94", "", 10, "0123456789", "6657667009"],
+  ["2B7E151628AED2A6ABF7158809CF4F3CEF4359D8D580AA4F7F036D6F04FC6A94", "39383736353433323130", 10, "0123456789", "1001623463"],
+  ["2B7E151628AED2A6ABF7158809CF4F3CEF4359D8D580AA4F7F036D6F04FC6A94", "3737373770717273373737", 36, "0123456789abcdefghi", "xs8a0azh2avyalyzuwd"],
+];
+
+samples.forEach(([key, tweak, radix, pt, ct], i) => {
+  test(`sample${i + 1}`, (t) => {
+    t.plan(2);
+    // Sample from NIST FF1 examples
+    const c = new FF1Cipher(key, tweak, radix);
+    let ciphertext = c.encrypt(pt);
+    let plaintext = c.decrypt(ciphertext);
+    t.equal(ciphertext, ct);
+    t.equal(plaintext, pt);
+  });
+});
+
+test('testCustomAlphabet', (t) => {
+  t.plan(2);
+  const c = FF1Cipher.withCustomAlphabet("2B7E151628AED2A6ABF7158809CF4F3C", "39383736353433323130", "ABCDEFGHIJKLMNOPQRSTUVWXYZ");
+  const pt = "CUSTOMERNAME";
+  let ciphertext = c.encrypt(pt);
+  t.match(ciphertext, /^[A-Z]{12}$/);
+  t.equal(c.decrypt(ciphertext), pt);
+});
+
+test('testLongMessage', (t) => {
+  t.plan(1);
+  // FF1 has no 96-bit limit on the message length
+  const c = new FF1Cipher("2B7E151628AED2A6ABF7158809CF4F3C", "", 10);
+  const pt = "0123456789".repeat(20);
+  t.equal(c.decrypt(c.encrypt(pt)), pt);
+});
+
+test('testMinLen', (t) => {
+  t.plan(1);
+  const c = new FF1Cipher("2B7E151628AED2A6ABF7158809CF4F3C", "", 10);
+  t.throws(() => c.encrypt("12345"));
+});
+
+test('testPerCallTweak', (t) => {
+  t.plan(2);
+  // NIST Sample #2 tweak passed per call to a cipher created with an empty tweak
+  const c = new FF1Cipher("2B7E151628AED2A6ABF7158809CF4F3C", "", 10);
+  t.equal(c.encrypt("0123456789", "39383736353433323130"), "6124200773");
+  t.equal(c.decrypt("6124200773", "39383736353433323130"), "0123456789");
+});
+
+test('testKeyTypesAndDestroy', (t) => {
+  t.plan(3);
+  // NIST Sample #1
+  const key = require('crypto').createSecretKey(Buffer.from("2B7E151628AED2A6ABF7158809CF4F3C", 'hex'));
+  const c = new FF1Cipher(key, "", 10);
+  t.equal(c.encrypt("0123456789"), "2433477484");
+  t.equal(new FF1Cipher(new Uint8Array(key.export()), "", 10).encrypt("0123456789"), "2433477484");
+  c.destroy();
+  t.throws(() => c.decrypt("2433477484"), /cipher has been destroyed/);
+});
@@ -0,0 +1,64 @@
+const test = require('tape');
+const FF3Cipher = require('../lib/FF3Cipher');
+const FF3CipherAsync = require('../lib/FF3CipherAsync');
+const { InvalidCharacterError, InvalidKeyError } = require('../lib/errors');
+
+// crypto.subtle is only a global from Node 19
+const options = { subtle: require('crypto').webcrypto.subtle };
+
+/*
+ * NIST Test Vectors for 128, 198, and 256 bit modes, and ACVP FF3-1 vectors
+ */
+
+const vectors = [
+  ["EF4359D8D580AA4F7F036D6F04FC6A94", "D8E7920AFA330A73", 10, "890121234567890000", "750918814058654607"],
+  ["EF4359D8D580AA4F7F036D6F04FC6A94", "9A768A92F60E12D8", 26, "0123456789abcdefghi", "g2pk40i992fn20cjakb"],
+  ["EF4359D8D580AA4F7F036D6F04FC6A942B7E151628AED2A6", "D8E7920AFA330A73", 10, "89012123456789000000789000000", "53048884065350204541786380807"],
+  ["EF4359D8D580AA4F7F036D6F04FC6A942B7E151628AED2A6ABF7158809CF4F3C", "9A768A92F60E12D8", 26, "0123456789abcdefghi", "p0b2godfja9bhb7bk38"],
+  ["2DE79D232DF5585D68CE47882AE256D6", "CBD09280979564", 10, "3992520240", "8901801106"],
+  ["AEE87D0D485B3AFD12BD1E0B9D03D50D", "5F9140601D224B", "0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz+/", "ixvuuIHr0e", "GR90R1q838"],
+];
+
+vectors.forEach(([key, tweak, radix, pt, ct], i) => {
+  test(`vector${i + 1}`, async (t) => {
+    t.plan(2);
+    const c = new FF3CipherAsync(key, tweak, radix, options);
+    t.equal(await c.encrypt(pt), ct);
+    t.equal(await c.decrypt(ct), pt);
+  });
+});
+
+test('same as FF3Cipher', async (t) => {
+  t.plan(2);
+  const key = "EF4359D8D580AA4F7F036D6F04FC6A94";
+  const c = FF3CipherAsync.withCustomAlphabet(key, "D8E7920AFA330A", "ABCDEFGHIJKLMNOPQRSTUVWXYZ", options);
+  const s = FF3Cipher.withCustomAlphabet(key, "D8E7920AFA330A", "ABCDEFGHIJKLMNOPQRSTUVWXYZ");
+  t.equal(await c.encrypt("CUSTOMERNAME"), s.encrypt("CUSTOMERNAME"));
+  // per-call tweak
+  t.equal(await c.encrypt("CUSTOMERNAME", "9A768A92F60E12D8"), s.encrypt("CUSTOMERNAME", "9A768A92F60E12D8"));
+});
+
+test('errors', async (t) => {
+  t.plan(2);
+  t.throws(() => new FF3CipherAsync("EF4359D8", "D8E7920AFA330A", 10, options), InvalidKeyError);
+  const c = new FF3CipherAsync("EF4359D8D580AA4F7F036D6F04FC6A94", "D8E7920AFA330A", 10, options);
+  try {
+    await c.encrypt("12345x789");
+  } catch (ex) {
+    t.ok(ex instanceof InvalidCharacterError);
+  }
+});
+
+test('key bytes and destroy', async (t) => {
+  t.plan(3);
+  const key = Buffer.from("EF4359D8D580AA4F7F036D6F04FC6A94", 'hex');
+  const c = new FF3CipherAsync(new Uint8Array(key), "D8E7920AFA330A73", 10, options);
+  t.equal(await c.encrypt("890121234567890000"), "750918814058654607");
+  t.equal(key.toString('hex'), "ef4359d8d580aa4f7f036d6f04fc6a94");
+  c.destroy();
+  try {
+    await c.encrypt("890121234567890000");
+  } catch (ex) {
+    t.ok(ex instanceof InvalidKeyError);
+  }
+});
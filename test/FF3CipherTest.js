@@ -1,6 +1,7 @@
 const test = require('tape');
 const FF3Cipher = require('../lib/FF3Cipher');
 const crypto = require('crypto')
+const { InvalidKeyError, InvalidCharacterError } = require('../lib/errors');
 
 /*
  * Unit Tests
@@ -33,7 +34,7 @@ test('radix', (t) => {
 });
 
 test('calculateP', (t) => {
-  t.plan(1);
+  t.plan(4);
   // NIST Sample #1, round 0
   let i=0, radix=10;
   const B = "567890000";
@@ -41,6 +42,10 @@ test('calculateP', (t) => {
   let W = Buffer.from("FA330A73",'hex');
   let P = FF3Cipher.calculateP(i, radix, W, B);
   t.deepEqual(P, Z);
+  // numerals outside the radix are rejected rather than read as a garbage block
+  t.throws(() => FF3Cipher.calculateP(i, radix, W, "12x"), InvalidCharacterError);
+  t.throws(() => FF3Cipher.calculateP(i, 2, W, "102"), InvalidCharacterError);
+  t.throws(() => FF3Cipher.calculateP(i, 2, W, "103", "0123"), InvalidCharacterError);
 });
 
 test('encrypt-decrypt', (t) => {
@@ -258,13 +263,10 @@ test('testacvp128dot2', (t) => {
   t.equal(plaintext, pt);
 });
 
-/*
-
-these require custom alphabet support
 test('testacvp128dot3', (t) => {
   t.plan(2);
   // ACVP tg: 2 tc: 26
-  const c = new FF3Cipher("718385E6542534604419E83CE387A437", "B6F35084FA90E1", 26);
+  const c = FF3Cipher.withCustomAlphabet("718385E6542534604419E83CE387A437", "B6F35084FA90E1", "abcdefghijklmnopqrstuvwxyz");
   const pt = "wfmwlrorcd", ct = "ywowehycyd";
   let ciphertext = c.encrypt(pt);
   let plaintext = c.decrypt(ciphertext);
@@ -275,7 +277,7 @@ test('testacvp128dot3', (t) => {
 test('testacvp128dot4', (t) => {
   t.plan(2);
   // ACVP tg: 2 tc: 27
-  const c = new FF3Cipher("DB602DFF22ED7E84C8D8C865A941A238", "EBEFD63BCC2083", 26);
+  const c = FF3Cipher.withCustomAlphabet("DB602DFF22ED7E84C8D8C865A941A238", "EBEFD63BCC2083", "abcdefghijklmnopqrstuvwxyz");
   const pt = "kkuomenbzqvggfbteqdyanwpmhzdmoicekiihkrm", ct = "belcfahcwwytwrckieymthabgjjfkxtxauipmjja";
   let ciphertext = c.encrypt(pt);
   let plaintext = c.decrypt(ciphertext);
@@ -286,7 +288,7 @@ test('testacvp128dot4', (t) => {
 test('testacvp128dot5', (t) => {
   t.plan(2);
   // ACVP tg: 3 tc: 51
-  const c = new FF3Cipher("AEE87D0D485B3AFD12BD1E0B9D03D50D", "5F9140601D224B", 64);
+  const c = FF3Cipher.withCustomAlphabet("AEE87D0D485B3AFD12BD1E0B9D03D50D", "5F9140601D224B", "0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz+/");
   const pt = "ixvuuIHr0e", ct = "GR90R1q838";
   let ciphertext = c.encrypt(pt);
   let plaintext = c.decrypt(ciphertext);
@@ -297,14 +299,13 @@ test('testacvp128dot5', (t) => {
 test('testacvp128dot6', (t) => {
   t.plan(2);
   // ACVP tg: 3 tc: 52
-  const c = new FF3Cipher("7B6C88324732F7F4AD435DA9AD77F917", "3F42102C0BAB39", alphabet= "0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz+/");
+  const c = FF3Cipher.withCustomAlphabet("7B6C88324732F7F4AD435DA9AD77F917", "3F42102C0BAB39", "0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz+/");
   const pt = "21q1kbbIVSrAFtdFWzdMeIDpRqpo", ct = "cvQ/4aGUV4wRnyO3CHmgEKW5hk8H";
   let ciphertext = c.encrypt(pt);
   let plaintext = c.decrypt(ciphertext);
   t.equal(ciphertext, ct);
   t.equal(plaintext, pt);
 });
-*/
 
 test('testFF3_1', (t) => {
   t.plan(2);
@@ -316,3 +317,147 @@ test('testFF3_1', (t) => {
   t.equal(ciphertext, ct);
   t.equal(plaintext, pt);
 });
+
+
+test('testCustomAlphabetUppercase', (t) => {
+  t.plan(4);
+  // Uppercase-only alphabet gives the radix 26 results mapped onto A-Z
+  const alphabet = "ABCDEFGHIJKLMNOPQRSTUVWXYZ";
+  const c = FF3Cipher.withCustomAlphabet("2DE79D232DF5585D68CE47882AE256D6", "CBD09280979564", alphabet);
+  const pt = "CUSTOMERNAME";
+  let ciphertext = c.encrypt(pt);
+  let plaintext = c.decrypt(ciphertext);
+  t.equal(c.radix, 26);
+  t.equal(c.minLen, 5);
+  t.match(ciphertext, /^[A-Z]{12}$/);
+  t.equal(plaintext, pt);
+});
+
+test('testRadix62', (t) => {
+  t.plan(4);
+  // radix 62 uses the default alphabet 0-9a-zA-Z
+  const c = new FF3Cipher("EF4359D8D580AA4F7F036D6F04FC6A94", "D8E7920AFA330A", 62);
+  const pt = "Ref0042xYz";
+  let ciphertext = c.encrypt(pt);
+  let plaintext = c.decrypt(ciphertext);
+  t.equal(c.alphabet, "0123456789abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ");
+  t.equal(c.maxLen, 32);
+  t.match(ciphertext, /^[0-9a-zA-Z]{10}$/);
+  t.equal(plaintext, pt);
+});
+
+test('testCustomAlphabetUnicode', (t) => {
+  t.plan(3);
+  // Non-ASCII symbols, including one outside the BMP, each count as one numeral
+  const alphabet = "αβγδεζηθικλμνξοπρστυφχψω😀";
+  const c = FF3Cipher.withCustomAlphabet("EF4359D8D580AA4F7F036D6F04FC6A94", "D8E7920AFA330A", alphabet);
+  const pt = "αβγ😀δεζη";
+  let ciphertext = c.encrypt(pt);
+  let plaintext = c.decrypt(ciphertext);
+  t.equal(c.radix, 25);
+  t.equal(Array.from(ciphertext).length, 8);
+  t.equal(plaintext, pt);
+});
+
+test('testCustomAlphabetLargeRadix', (t) => {
+  t.plan(3);
+  // radix 2^16 from a generated alphabet of code points
+  let alphabet = '';
+  for (let i = 0; i < 65536; i++) {
+    alphabet += String.fromCodePoint(0x10000 + i);
+  }
+  const c = FF3Cipher.withCustomAlphabet("EF4359D8D580AA4F7F036D6F04FC6A94", "D8E7920AFA330A", alphabet);
+  const pt = String.fromCodePoint(0x10000, 0x1ffff, 0x12345, 0x10001);
+  t.equal(c.minLen, 2);
+  t.equal(c.maxLen, 12);
+  t.equal(c.decrypt(c.encrypt(pt)), pt);
+});
+
+test('testCustomAlphabetErrors', (t) => {
+  t.plan(2);
+  t.throws(() => new FF3Cipher("EF4359D8D580AA4F7F036D6F04FC6A94", "D8E7920AFA330A", 64));
+  t.throws(() => FF3Cipher.withCustomAlphabet("EF4359D8D580AA4F7F036D6F04FC6A94", "D8E7920AFA330A", "0123456789A0"));
+});
+
+test('testPerCallTweak', (t) => {
+  t.plan(4);
+  // NIST Sample #2 tweak passed per call to a cipher created with the Sample #1 tweak
+  const c = new FF3Cipher("EF4359D8D580AA4F7F036D6F04FC6A94", "D8E7920AFA330A73", 10);
+  const pt = "890121234567890000", ct = "018989839189395384";
+  let ciphertext = c.encrypt(pt, "9A768A92F60E12D8");
+  let plaintext = c.decrypt(ct, "9A768A92F60E12D8");
+  t.equal(ciphertext, ct);
+  t.equal(plaintext, pt);
+  // the constructor tweak is unchanged
+  t.equal(c.encrypt(pt), "750918814058654607");
+  // 56-bit FF3-1 tweaks are accepted per call
+  t.equal(c.encrypt(pt, "D8E7920AFA330A"), "477064185124354662");
+});
+
+test('testDeriveTweak', (t) => {
+  t.plan(5);
+  const hashKey = "2B7E151628AED2A6ABF7158809CF4F3C";
+  const tweak1 = FF3Cipher.deriveTweak(hashKey, "customers", "ssn", "tenant-1");
+  const tweak2 = FF3Cipher.deriveTweak(hashKey, "customers", "phone", "tenant-1");
+  t.match(tweak1, /^[0-9A-F]{14}$/);
+  t.equal(FF3Cipher.deriveTweak(hashKey, "customers", "ssn", "tenant-1"), tweak1);
+  t.notEqual(FF3Cipher.deriveTweak(hashKey, "ab", "c"), FF3Cipher.deriveTweak(hashKey, "a", "bc"));
+
+  // the same value encrypts differently in different columns
+  const c = new FF3Cipher("EF4359D8D580AA4F7F036D6F04FC6A94", "D8E7920AFA330A", 10);
+  const pt = "123456789";
+  t.notEqual(c.encrypt(pt, tweak1), c.encrypt(pt, tweak2));
+  t.equal(c.decrypt(c.encrypt(pt, tweak1), tweak1), pt);
+});
+
+test('testDeriveTweakKey', (t) => {
+  t.plan(6);
+  const hashKey = "2B7E151628AED2A6ABF7158809CF4F3C";
+  const tweak = FF3Cipher.deriveTweak(hashKey, "a");
+  t.equal(FF3Cipher.deriveTweak(Buffer.from(hashKey, 'hex'), "a"), tweak);
+  t.equal(FF3Cipher.deriveTweak(crypto.createSecretKey(Buffer.from(hashKey, 'hex')), "a"), tweak);
+  // keys that are not hex, empty or too short would make an unkeyed or weak HMAC
+  t.throws(() => FF3Cipher.deriveTweak("my secret", "a"), InvalidKeyError);
+  t.throws(() => FF3Cipher.deriveTweak("", "a"), InvalidKeyError);
+  t.throws(() => FF3Cipher.deriveTweak("zz", "a"), InvalidKeyError);
+  t.throws(() => FF3Cipher.deriveTweak("2B7E151628AED2A6", "a"), InvalidKeyError);
+});
+
+test('testNumeralChunks', (t) => {
+  // round trips at the maximum length, which spans several numeral chunks, and with leading zero numerals
+  const radices = [2, 10, 36, 62, 'ABCDEFGHIJKLMNOPQRSTUVWXYZ', "àáâãäåæçèé"];
+  t.plan(2 * radices.length);
+  for (const radix of radices) {
+    const c = new FF3Cipher("EF4359D8D580AA4F7F036D6F04FC6A94", "D8E7920AFA330A73", radix);
+    const symbols = Array.from(c.alphabet);
+    const long = Array.from({ length: c.maxLen }, (_, i) => symbols[(i * 7) % c.radix]).join('');
+    const zeros = symbols[0].repeat(c.minLen);
+    t.equal(c.decrypt(c.encrypt(long)), long);
+    t.equal(c.decrypt(c.encrypt(zeros)), zeros);
+  }
+});
+
+test('testKeyTypes', (t) => {
+  t.plan(5);
+  const hex = "EF4359D8D580AA4F7F036D6F04FC6A94";
+  const pt = "890121234567890000", ct = "750918814058654607";
+  const buffer = Buffer.from(hex, 'hex');
+  t.equal(new FF3Cipher(buffer, "D8E7920AFA330A73").encrypt(pt), ct);
+  // the caller's key is neither reversed nor wiped
+  t.equal(buffer.toString('hex').toUpperCase(), hex);
+  t.equal(new FF3Cipher(new Uint8Array(buffer), "D8E7920AFA330A73").encrypt(pt), ct);
+  t.equal(new FF3Cipher(crypto.createSecretKey(buffer), "D8E7920AFA330A73").encrypt(pt), ct);
+  const { publicKey } = crypto.generateKeyPairSync('ed25519');
+  t.throws(() => new FF3Cipher(publicKey, "D8E7920AFA330A73"), /secret key/);
+});
+
+test('testDestroy', (t) => {
+  t.plan(4);
+  const c = new FF3Cipher("EF4359D8D580AA4F7F036D6F04FC6A94", "D8E7920AFA330A73");
+  const ct = c.encrypt("890121234567890000");
+  t.equal(c.destroyed, false);
+  c.destroy();
+  t.equal(c.destroyed, true);
+  t.throws(() => c.encrypt("890121234567890000"), /cipher has been destroyed/);
+  t.throws(() => c.decrypt(ct), /cipher has been destroyed/);
+});
@@ -0,0 +1,103 @@
+const test = require('tape');
+const FF3Cipher = require('../lib/FF3Cipher');
+const FF3Pool = require('../lib/FF3Pool');
+const { InvalidCharacterError, InvalidKeyError } = require('../lib/errors');
+
+const key = "EF4359D8D580AA4F7F036D6F04FC6A94";
+const tweak = "D8E7920AFA330A73";
+
+const values = Array.from({ length: 250 }, (_, i) => String(1000000000 + i * 7919));
+
+test('same as FF3Cipher in input order', async (t) => {
+  t.plan(3);
+  const pool = new FF3Pool(key, tweak, 10, { size: 2, batchSize: 16 });
+  const c = new FF3Cipher(key, tweak);
+  try {
+    const ciphertexts = await pool.encryptMany(values);
+    t.deepEqual(ciphertexts, values.map(v => c.encrypt(v)));
+    t.deepEqual(await pool.decryptMany(ciphertexts), values);
+    // concurrent calls share the workers
+    const [a, b] = await Promise.all([pool.encryptMany(values.slice(0, 40)), pool.encryptMany(values.slice(40))]);
+    t.deepEqual(a.concat(b), ciphertexts);
+  } finally {
+    await pool.destroy();
+  }
+});
+
+test('NIST vector, tweak and alphabet', async (t) => {
+  t.plan(3);
+  const pool = new FF3Pool(key, tweak, 10, { size: 1 });
+  const alpha = new FF3Pool(key, "D8E7920AFA330A", "ABCDEFGHIJKLMNOPQRSTUVWXYZ", { size: 1 });
+  try {
+    t.deepEqual(await pool.encryptMany(["890121234567890000"]), ["750918814058654607"]);
+    t.deepEqual(await pool.encryptMany(new Set(["890121234567890000"]), "9A768A92F60E12D8"),
+      [new FF3Cipher(key, tweak).encrypt("890121234567890000", "9A768A92F60E12D8")]);
+    t.deepEqual(await alpha.encryptMany(["CUSTOMERNAME"]),
+      [FF3Cipher.withCustomAlphabet(key, "D8E7920AFA330A", "ABCDEFGHIJKLMNOPQRSTUVWXYZ").encrypt("CUSTOMERNAME")]);
+  } finally {
+    await Promise.all([pool.destroy(), alpha.destroy()]);
+  }
+});
+
+test('errors', async (t) => {
+  t.plan(7);
+  t.throws(() => new FF3Pool("EF4359D8", tweak), InvalidKeyError);
+  t.throws(() => new FF3Pool(key, tweak, 10, { size: 0.5 }), TypeError);
+
+  const pool = new FF3Pool(key, tweak, 10, { size: 1, batchSize: 4 });
+  t.deepEqual(await pool.encryptMany([]), []);
+  try {
+    await pool.encryptMany(["1234567890", "2234567890", "3234567890", "4234567890", "5234567x90"]);
+  } catch (ex) {
+    t.ok(ex instanceof InvalidCharacterError, 'error class is kept');
+    t.equal(ex.index, 4);
+    t.equal(ex.position, 7);
+  }
+  await pool.destroy();
+  try {
+    await pool.decryptMany(values);
+  } catch (ex) {
+    t.ok(ex instanceof InvalidKeyError);
+  }
+});
+
+test('destroy rejects pending calls', async (t) => {
+  t.plan(2);
+  const pool = new FF3Pool(key, tweak, 10, { size: 1, batchSize: 10 });
+  const pending = pool.encryptMany(values).catch(ex => ex);
+  await pool.destroy();
+  t.ok((await pending) instanceof InvalidKeyError);
+  try {
+    await pool.encryptMany(["1"]);
+  } catch (ex) {
+    t.ok(ex instanceof InvalidKeyError, 'destroyed before the value is checked');
+  }
+});
+
+test('values that cannot be posted', async (t) => {
+  t.plan(3);
+  const pool = new FF3Pool(key, tweak, 10, { size: 1 });
+  try {
+    const ex = await pool.encryptMany(["1234567890", () => "2234567890"]).catch(err => err);
+    t.equal(ex.name, 'DataCloneError', 'only that call is rejected');
+    t.equal(pool.idle.length, 1, 'the worker is idle again');
+    t.deepEqual(await pool.encryptMany(["1234567890"]), [new FF3Cipher(key, tweak).encrypt("1234567890")]);
+  } finally {
+    await pool.destroy();
+  }
+});
+
+test('a worker that exits is replaced', async (t) => {
+  t.plan(3);
+  const pool = new FF3Pool(key, tweak, 10, { size: 1, batchSize: 10 });
+  try {
+    const pending = pool.encryptMany(values).catch(ex => ex);
+    const [worker] = pool.workers;
+    await worker.terminate();
+    t.ok((await pending) instanceof Error, 'its call is rejected');
+    t.equal(pool.workers.size, 1);
+    t.deepEqual(await pool.encryptMany(["1234567890"]), [new FF3Cipher(key, tweak).encrypt("1234567890")]);
+  } finally {
+    await pool.destroy();
+  }
+});
@@ -0,0 +1,134 @@
+const test = require('tape');
+const { Readable } = require('stream');
+const FF3Cipher = require('../lib/FF3Cipher');
+const FieldEncryptStream = require('../lib/FieldEncryptStream');
+const { InvalidCharacterError, InvalidFormatError } = require('../lib/errors');
+
+const key = "EF4359D8D580AA4F7F036D6F04FC6A94";
+const tweak = "D8E7920AFA330A";
+const digits = new FF3Cipher(key, tweak);
+const letters = FF3Cipher.withCustomAlphabet(key, tweak, "ABCDEFGHIJKLMNOPQRSTUVWXYZ");
+
+// Stream the chunks through s and collect the output and record errors
+function run(s, chunks) {
+  const errors = [];
+  s.on('recordError', (ex, n) => errors.push([ex, n]));
+  return new Promise((resolve, reject) => {
+    let out = '';
+    Readable.from(chunks.map(c => Buffer.from(c))).pipe(s)
+      .on('data', (d) => { out += d; })
+      .on('end', () => resolve({ out, errors }))
+      .on('error', reject);
+  });
+}
+
+test('csv', async (t) => {
+  t.plan(4);
+  const input = 'name,ssn,note\r\nALICE,123456789,"a, b"\nROBERT,987654321,"say ""hi"""\n';
+  // chunk boundaries fall inside records
+  const chunks = [input.substring(0, 20), input.substring(20, 41), input.substring(41)];
+  const { out } = await run(new FieldEncryptStream({ fields: { ssn: digits, 0: letters } }), chunks);
+  const lines = out.split('\n');
+  t.equal(lines[0], 'name,ssn,note');
+  t.equal(lines[1], `${letters.encrypt("ALICE")},${digits.encrypt("123456789")},"a, b"`);
+  t.equal(lines[2], `${letters.encrypt("ROBERT")},${digits.encrypt("987654321")},"say ""hi"""`);
+
+  const back = await run(new FieldEncryptStream({ fields: { ssn: digits, name: letters }, decrypt: true }), [out]);
+  t.equal(back.out, input.replace('\r\n', '\n'));
+});
+
+test('ndjson', async (t) => {
+  t.plan(3);
+  const input = '{"id":1,"ssn":"123456789"}\n{"id":2,"ssn":"987654321"}\n';
+  const fields = { ssn: { cipher: digits, tweak: "9A768A92F60E12D8" } };
+  const { out } = await run(new FieldEncryptStream({ format: 'ndjson', fields }), [input]);
+  const docs = out.trim().split('\n').map(JSON.parse);
+  t.deepEqual(docs[0], { id: 1, ssn: digits.encrypt("123456789", "9A768A92F60E12D8") });
+  t.equal(docs[1].id, 2);
+  const back = await run(new FieldEncryptStream({ format: 'ndjson', fields, decrypt: true }), [out]);
+  t.equal(back.out, input);
+});
+
+test('error policies', async (t) => {
+  t.plan(7);
+  const input = 'ssn\n123456789\n12345678x\n987654321\n';
+
+  let result = await run(new FieldEncryptStream({ fields: { ssn: digits }, errorPolicy: 'skip' }), [input]);
+  t.equal(result.out.split('\n').length, 4);
+  t.ok(result.errors[0][0] instanceof InvalidCharacterError);
+  t.equal(result.errors[0][1], 3);
+
+  result = await run(new FieldEncryptStream({ fields: { ssn: digits }, errorPolicy: 'pass' }), [input]);
+  t.equal(result.out.split('\n')[2], '12345678x');
+  t.equal(result.errors.length, 1);
+
+  try {
+    await run(new FieldEncryptStream({ fields: { ssn: digits } }), [input]);
+  } catch (ex) {
+    t.ok(ex instanceof InvalidCharacterError);
+    t.equal(ex.recordNumber, 3);
+  }
+});
+
+test('stray quote', async (t) => {
+  t.plan(4);
+  // a quote inside an unquoted field is an ordinary character, so it fails only its own record
+  const rows = ['alice,111111111', 'carol,222222222', 'dave,333333333', 'erin,444444444', 'frank,555555555'];
+  const input = 'name,ssn\nbob,12"3456789\n' + rows.join('\n') + '\n';
+  const { out, errors } = await run(new FieldEncryptStream({ fields: { ssn: digits }, errorPolicy: 'skip' }), [input]);
+  t.equal(errors.length, 1);
+  t.ok(errors[0][0] instanceof InvalidCharacterError);
+  t.equal(errors[0][1], 2);
+  t.deepEqual(out.split('\n').slice(1, -1), rows.map(r => r.replace(/[0-9]+$/, d => digits.encrypt(d))));
+});
+
+test('record longer than maxRecordLength', async (t) => {
+  t.plan(9);
+  // an unterminated quote would otherwise hold the rest of the input in one record
+  const rows = Array.from({ length: 20 }, (_, i) => `row${i},${100000000 + i}`);
+  const encrypted = rows.map(r => r.replace(/[0-9]+$/, d => digits.encrypt(d)));
+  const input = 'name,ssn\nbob,"123\n' + rows.join('\n') + '\n';
+  const chunks = input.match(/[^]{1,16}/g);
+  const options = { fields: { ssn: digits }, errorPolicy: 'skip', maxRecordLength: 64 };
+  let result = await run(new FieldEncryptStream(options), chunks);
+  t.deepEqual(result.errors.map(([, n]) => n), [2], 'only the record with the quote fails');
+  t.ok(result.errors[0][0] instanceof InvalidFormatError);
+  // reading resumes after the first newline of the long record, so every later row is encrypted or reported
+  const out = result.out.split('\n');
+  const reported = new Set(result.errors.map(([, n]) => n));
+  t.ok(rows.every((r, i) => out.includes(encrypted[i]) || reported.has(i + 3)), 'each row encrypted or reported');
+  t.deepEqual(out.slice(1, -1), encrypted);
+
+  result = await run(new FieldEncryptStream({ ...options, errorPolicy: 'pass' }), chunks);
+  // the failed record is written unchanged up to its first newline, and later records are encrypted
+  t.equal(result.out, 'name,ssn\nbob,"123\n' + encrypted.join('\n') + '\n');
+  t.equal(result.errors.length, 1);
+
+  // a quote left open at the end of the input fails only its own line
+  result = await run(new FieldEncryptStream({ fields: { ssn: digits }, errorPolicy: 'skip' }),
+    ['name,ssn\nbob,"123\n' + rows.slice(0, 3).join('\n') + '\n']);
+  t.deepEqual(result.errors.map(([, n]) => n), [2]);
+  t.deepEqual(result.out.split('\n').slice(1, -1), encrypted.slice(0, 3));
+
+  // a line longer than maxRecordLength is dropped up to its newline
+  const long = ['name,ssn\nbob,' + '1'.repeat(80), '2'.repeat(80) + '\n' + rows[0] + '\n'];
+  result = await run(new FieldEncryptStream(options), long);
+  t.equal(result.out, 'name,ssn\n' + encrypted[0] + '\n');
+});
+
+test('ndjson path', async (t) => {
+  t.plan(2);
+  const input = '{"customer":{"ssn":"123456789"}}\n{"customer":null}\n';
+  const { out, errors } = await run(new FieldEncryptStream({ format: 'ndjson', fields: { 'customer.ssn': digits }, errorPolicy: 'pass' }), [input]);
+  t.equal(out.split('\n')[0], JSON.stringify({ customer: { ssn: digits.encrypt("123456789") } }));
+  t.equal(errors[0][1], 2);
+});
+
+test('lines', async (t) => {
+  t.plan(2);
+  const { out } = await run(new FieldEncryptStream({ format: 'lines', fields: { 0: digits } }), ['123456789\n98765', '4321\n']);
+  t.equal(out, `${digits.encrypt("123456789")}\n${digits.encrypt("987654321")}\n`);
+  // no newline is added after a last line that had none
+  const last = await run(new FieldEncryptStream({ format: 'lines', fields: { 0: digits } }), ['123456789\n987654321']);
+  t.equal(last.out, `${digits.encrypt("123456789")}\n${digits.encrypt("987654321")}`);
+});
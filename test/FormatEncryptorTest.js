@@ -0,0 +1,98 @@
+const test = require('tape');
+const FF3Cipher = require('../lib/FF3Cipher');
+const FF1Cipher = require('../lib/FF1Cipher');
+const FormatEncryptor = require('../lib/FormatEncryptor');
+const { InvalidCharacterError, InvalidFormatError } = require('../lib/errors');
+
+const key = "EF4359D8D580AA4F7F036D6F04FC6A94";
+const tweak = "D8E7920AFA330A";
+
+test('mask', (t) => {
+  t.plan(3);
+  const c = new FF3Cipher(key, tweak);
+  const f = new FormatEncryptor(c, "####-####-####-####");
+  const pt = "4000-0012-3456-7899";
+  let ciphertext = f.encrypt(pt);
+  t.match(ciphertext, /^\d{4}-\d{4}-\d{4}-\d{4}$/);
+  // the variable positions are encrypted as one message
+  t.equal(ciphertext.replace(/-/g, ''), c.encrypt("4000001234567899"));
+  t.equal(f.decrypt(ciphertext), pt);
+});
+
+test('mask literals', (t) => {
+  t.plan(3);
+  // \A and \# escape a literal A and #, and the parentheses are fixed
+  const f = new FormatEncryptor(new FF3Cipher(key, tweak), "\\A(###) ###\\#");
+  const pt = "A(555) 123#";
+  let ciphertext = f.encrypt(pt);
+  t.match(ciphertext, /^A\(\d{3}\) \d{3}#$/);
+  t.equal(f.decrypt(ciphertext), pt);
+  t.equal(f.encrypt(pt, "9A768A92F60E12D8"), new FormatEncryptor(new FF3Cipher(key, "9A768A92F60E12D8"), "\\A(###) ###\\#").encrypt(pt));
+});
+
+test('mask placeholder alphabets', (t) => {
+  t.plan(7);
+  // letters stay letters and digits stay digits, whatever the cipher's alphabet
+  for (const c of [new FF3Cipher(key, tweak), new FF3Cipher(key, tweak, 36)]) {
+    const f = new FormatEncryptor(c, "AA-####-####");
+    const ciphertext = f.encrypt("XY-1234-5678");
+    t.match(ciphertext, /^[A-Z]{2}-[0-9]{4}-[0-9]{4}$/);
+    t.equal(f.decrypt(ciphertext), "XY-1234-5678");
+  }
+  const g = new FormatEncryptor(new FF3Cipher(key, tweak, 36), "a*-****");
+  const ciphertext = g.encrypt("x9-z8y7");
+  t.match(ciphertext, /^[a-z][0-9a-z]-[0-9a-z]{4}$/);
+  t.equal(g.decrypt(ciphertext), "x9-z8y7");
+  t.throws(() => new FormatEncryptor(new FF3Cipher(key, tweak), "AA-####-####").encrypt("X1-1234-5678"), InvalidCharacterError);
+});
+
+test('regex', (t) => {
+  t.plan(3);
+  const c = FF3Cipher.withCustomAlphabet(key, tweak, "0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ");
+  const f = new FormatEncryptor(c, /^REF-([0-9A-Z]{4})-([0-9A-Z]+)$/g);
+  const pt = "REF-AB12-7788Z";
+  let ciphertext = f.encrypt(pt);
+  t.match(ciphertext, /^REF-[0-9A-Z]{4}-[0-9A-Z]{5}$/);
+  t.equal(f.decrypt(ciphertext), pt);
+  // a global regex keeps no state between calls
+  t.equal(f.encrypt(pt), ciphertext);
+});
+
+test('FF1', (t) => {
+  t.plan(1);
+  const f = new FormatEncryptor(new FF1Cipher("2B7E151628AED2A6ABF7158809CF4F3C", ""), "###-##-####");
+  t.equal(f.decrypt(f.encrypt("123-45-6789")), "123-45-6789");
+});
+
+test('errors', (t) => {
+  t.plan(9);
+  const f = new FormatEncryptor(new FF3Cipher(key, tweak), "####-####");
+  try {
+    f.encrypt("1234/5678");
+  } catch (ex) {
+    t.ok(ex instanceof InvalidFormatError);
+    t.equal(ex.position, 4);
+  }
+  t.throws(() => f.encrypt("1234-56789"), InvalidFormatError);
+  try {
+    f.encrypt("1234-5a78");
+  } catch (ex) {
+    // position is reported in the formatted value
+    t.ok(ex instanceof InvalidCharacterError);
+    t.equal(ex.position, 6);
+  }
+  const r = new FormatEncryptor(new FF3Cipher(key, tweak), /(\d+)-(\d+)/);
+  t.throws(() => r.encrypt("x1234-5678"), InvalidFormatError);
+  // values that are not strings
+  t.throws(() => f.encrypt(null), InvalidFormatError);
+  t.throws(() => f.decrypt(undefined), InvalidFormatError);
+  t.throws(() => r.encrypt(12345678), InvalidFormatError);
+});
+
+test('regex result that does not match', (t) => {
+  t.plan(1);
+  // the groups are encrypted together in radix 36, so letters can land in digit positions
+  const c = FF3Cipher.withCustomAlphabet(key, tweak, "0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ");
+  const f = new FormatEncryptor(c, /^([A-Z]{2})-([0-9]{4})-([0-9]{4})$/);
+  t.throws(() => f.encrypt("XY-1234-5678"), InvalidFormatError);
+});
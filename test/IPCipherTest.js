@@ -0,0 +1,99 @@
+const test = require('tape');
+const FF3Cipher = require('../lib/FF3Cipher');
+const SmallDomainCipher = require('../lib/SmallDomainCipher');
+const IPCipher = require('../lib/IPCipher');
+const { InvalidRadixError, InvalidFormatError, InvalidDomainError } = require('../lib/errors');
+
+const key = "EF4359D8D580AA4F7F036D6F04FC6A94";
+const tweak = "D8E7920AFA330A";
+
+test('ipv4 keeps the prefix', (t) => {
+  t.plan(4);
+  for (const radix of [2, 16]) {
+    const c = new IPCipher(new FF3Cipher(key, tweak, radix), { ipv4Prefix: 16 });
+    const token = c.encrypt("192.168.10.25");
+    t.match(token, /^192\.168\.\d{1,3}\.\d{1,3}$/);
+    t.equal(c.decrypt(token), "192.168.10.25");
+  }
+});
+
+test('ipv4 prefixes not on an octet boundary', (t) => {
+  t.plan(2);
+  const c = new IPCipher(new FF3Cipher(key, tweak, 16), { ipv4Prefix: 10 });
+  let samePrefix = true, roundTrips = true;
+  for (let i = 0; i < 20; ++i) {
+    const address = `10.${(i * 37) % 256}.${(i * 91) % 256}.${i}`;
+    const token = c.encrypt(address);
+    // the first 10 bits are kept: the first octet and the top 2 bits of the second
+    const [a, b] = token.split('.').map(Number);
+    samePrefix = samePrefix && a === 10 && (b >> 6) === (((i * 37) % 256) >> 6);
+    roundTrips = roundTrips && c.decrypt(token) === address;
+  }
+  t.ok(samePrefix);
+  t.ok(roundTrips);
+});
+
+test('ipv6 keeps the prefix', (t) => {
+  t.plan(5);
+  const c = new IPCipher(new FF3Cipher(key, tweak, 16), { ipv6Prefix: 48 });
+  const token = c.encrypt("2001:db8:85a3::8a2e:370:7334");
+  t.ok(token.startsWith("2001:db8:85a3:"));
+  t.equal(c.decrypt(token), "2001:db8:85a3::8a2e:370:7334");
+  // results are in RFC 5952 notation
+  t.equal(c.decrypt(c.encrypt("2001:0DB8:85A3:0000:0000:8A2E:0370:7334")), "2001:db8:85a3::8a2e:370:7334");
+  t.equal(c.decrypt(c.encrypt("::ffff:192.0.2.1")), "::ffff:192.0.2.1");
+  t.equal(new IPCipher(new FF3Cipher(key, tweak, 2)).decrypt(new IPCipher(new FF3Cipher(key, tweak, 2)).encrypt("fe80::1")), "fe80::1");
+});
+
+test('ipv4-mapped addresses', (t) => {
+  t.plan(5);
+  const c = new IPCipher(new FF3Cipher(key, tweak, 16));
+  // the IPv4 address is encrypted with the IPv4 prefix and keeps the mapping
+  const token = c.encrypt("::ffff:192.0.2.1");
+  t.match(token, /^::ffff:192\.0\.\d+\.\d+$/);
+  t.equal(token, "::ffff:" + c.encrypt("192.0.2.1"));
+  t.equal(c.encrypt("::FFFF:c000:201"), token);
+  // other addresses whose host bits reach into ::ffff:0:0/96 are walked past it
+  const wide = new IPCipher(new FF3Cipher(key, tweak, 16), { ipv6Prefix: 90 });
+  let mapped = false, roundTrips = true;
+  for (let i = 0; i < 200; ++i) {
+    const ip = `::fffe:0:${i.toString(16)}`;
+    const result = wide.encrypt(ip);
+    mapped = mapped || result.startsWith("::ffff:");
+    roundTrips = roundTrips && wide.decrypt(result) === ip;
+  }
+  t.notOk(mapped);
+  t.ok(roundTrips);
+});
+
+test('small host parts', (t) => {
+  t.plan(5);
+  t.throws(() => new IPCipher(new FF3Cipher(key, tweak, 16), { ipv4Prefix: 24 }), InvalidDomainError,
+    'too many cycles without a shortCipher');
+  const start = Date.now();
+  for (const [radix, prefix] of [[2, 24], [16, 28], [2, 31]]) {
+    const c = new IPCipher(new FF3Cipher(key, tweak, radix),
+      { ipv4Prefix: prefix, shortCipher: new SmallDomainCipher(key, tweak, radix) });
+    let roundTrips = true, samePrefix = true;
+    for (let i = 0; i < 32; ++i) {
+      const host = (i * 37) % 256;
+      const token = c.encrypt(`10.1.2.${host}`);
+      roundTrips = roundTrips && c.decrypt(token) === `10.1.2.${host}`;
+      samePrefix = samePrefix && token.startsWith("10.1.2.") &&
+        (Number(token.split('.')[3]) >> (32 - prefix)) === (host >> (32 - prefix));
+    }
+    t.ok(roundTrips && samePrefix, `radix ${radix} /${prefix}`);
+  }
+  t.ok(Date.now() - start < 1000, 'bounded work');
+});
+
+test('errors', (t) => {
+  t.plan(6);
+  const c = new IPCipher(new FF3Cipher(key, tweak, 16));
+  t.throws(() => c.encrypt("192.168.1.256"), InvalidFormatError);
+  t.throws(() => c.encrypt("2001:db8::85a3::1"), InvalidFormatError);
+  t.throws(() => c.encrypt("1:2:3:4:5:6:7"), InvalidFormatError);
+  t.throws(() => c.encrypt("example.com"), InvalidFormatError);
+  t.throws(() => new IPCipher(new FF3Cipher(key, tweak, 10)), InvalidRadixError);
+  t.throws(() => new IPCipher(new FF3Cipher(key, tweak, 16), { ipv4Prefix: 32 }), TypeError);
+});
@@ -0,0 +1,55 @@
+const test = require('tape');
+const FF3Cipher = require('../lib/FF3Cipher');
+const FF1Cipher = require('../lib/FF1Cipher');
+const IntegerRangeCipher = require('../lib/IntegerRangeCipher');
+const { InvalidDomainError, InvalidFormatError } = require('../lib/errors');
+
+const key = "EF4359D8D580AA4F7F036D6F04FC6A94";
+const tweak = "D8E7920AFA330A";
+
+test('order ids stay in range', (t) => {
+  t.plan(3);
+  const c = new IntegerRangeCipher(new FF3Cipher(key, tweak), 100000, 2500000);
+  t.equal(c.length, 7);
+  let inRange = true, roundTrips = true;
+  for (let i = 0; i < 50; ++i) {
+    const id = 100000 + i * 48001;
+    const token = c.encrypt(id);
+    inRange = inRange && Number.isInteger(token) && token >= 100000 && token <= 2500000;
+    roundTrips = roundTrips && c.decrypt(token) === id;
+  }
+  t.ok(inRange);
+  t.ok(roundTrips);
+});
+
+test('bigint range and per-call tweak', (t) => {
+  t.plan(5);
+  const min = -(10n ** 20n), max = 10n ** 25n;
+  const c = new IntegerRangeCipher(new FF1Cipher(key, tweak), min, max);
+  const value = 123456789012345678901234n;
+  const token = c.encrypt(value);
+  t.equal(typeof token, 'bigint');
+  t.ok(token >= min && token <= max);
+  t.equal(c.decrypt(token), value);
+  t.notEqual(c.encrypt(value, "9A768A92F60E12"), token);
+  // numbers beyond safe integers would lose precision
+  t.throws(() => c.encrypt(5), InvalidFormatError);
+});
+
+test('domain checks', (t) => {
+  t.plan(4);
+  const cipher = new FF3Cipher(key, tweak);
+  // the range must hold DOMAIN_MIN values, however wide the numerals
+  t.throws(() => new IntegerRangeCipher(cipher, 0, 999998), InvalidDomainError);
+  t.doesNotThrow(() => new IntegerRangeCipher(cipher, 0, 999999));
+  t.throws(() => new IntegerRangeCipher(cipher, 0n, 10n ** 56n), InvalidDomainError);
+  t.throws(() => new IntegerRangeCipher(cipher, 0, 1500000.5), TypeError);
+});
+
+test('values outside the range', (t) => {
+  t.plan(3);
+  const c = new IntegerRangeCipher(new FF3Cipher(key, tweak), 1000000, 9999999);
+  t.throws(() => c.encrypt(999999), /outside the range/);
+  t.throws(() => c.decrypt(10000000n), InvalidFormatError);
+  t.throws(() => c.encrypt(1000000.5), InvalidFormatError);
+});
@@ -0,0 +1,78 @@
+const test = require('tape');
+const FF3Cipher = require('../lib/FF3Cipher');
+const FF1Cipher = require('../lib/FF1Cipher');
+const Keyring = require('../lib/Keyring');
+const { UnknownKeyError, InvalidCharacterError } = require('../lib/errors');
+
+const key1 = "EF4359D8D580AA4F7F036D6F04FC6A94";
+const key2 = "2DE79D232DF5585D68CE47882AE256D6";
+const tweak = "D8E7920AFA330A";
+
+test('active key', (t) => {
+  t.plan(6);
+  const ring = new Keyring({ tweak }).addKey("v1", key1).addKey("v2", key2);
+  t.equal(ring.activeKeyId, "v1");
+  t.deepEqual(ring.keyIds(), ["v1", "v2"]);
+  t.deepEqual(ring.encrypt("123456789"), { keyId: "v1", ciphertext: new FF3Cipher(key1, tweak).encrypt("123456789") });
+
+  ring.setActive("v2");
+  const { keyId, ciphertext } = ring.encrypt("123456789");
+  t.equal(keyId, "v2");
+  t.equal(ring.decrypt(ciphertext, keyId), "123456789");
+  t.equal(ring.cipher("v1").decrypt(ring.cipher("v1").encrypt("123456789")), "123456789");
+});
+
+test('reencrypt', (t) => {
+  t.plan(3);
+  const ring = new Keyring({ tweak, radix: "ABCDEFGHIJKLMNOPQRSTUVWXYZ" }).addKey("v1", key1).addKey("v2", key2, true);
+  const old = ring.cipher("v1").encrypt("CUSTOMER");
+  const token = ring.reencrypt(old, "v1");
+  t.equal(token, ring.cipher("v2").encrypt("CUSTOMER"));
+  t.equal(ring.decrypt(token, "v2"), "CUSTOMER");
+  // per-call tweak
+  t.equal(ring.reencrypt(ring.cipher("v1").encrypt("CUSTOMER", "9A768A92F60E12D8"), "v1", "v2", "9A768A92F60E12D8"),
+    ring.cipher("v2").encrypt("CUSTOMER", "9A768A92F60E12D8"));
+});
+
+test('rotate', (t) => {
+  t.plan(4);
+  const ring = new Keyring({ cipher: FF1Cipher, tweak: "" }).addKey("v1", key1).addKey("v2", key2);
+  const values = ["0123456789", "9876543210", "5555555555"];
+  const tokens = values.map(v => ring.cipher("v1").encrypt(v));
+  const rotated = ring.rotate(tokens, "v1", "v2");
+  t.deepEqual(rotated.map(v => ring.decrypt(v, "v2")), values);
+  try {
+    ring.rotate([tokens[0], "01234x6789"], "v1", "v2");
+  } catch (ex) {
+    t.ok(ex instanceof InvalidCharacterError);
+    t.equal(ex.index, 1);
+  }
+  ring.removeKey("v1");
+  t.throws(() => ring.rotate(tokens, "v1", "v2"), UnknownKeyError);
+});
+
+test('unknown key', (t) => {
+  t.plan(3);
+  const ring = new Keyring({ tweak });
+  t.throws(() => ring.encrypt("123456789"), UnknownKeyError);
+  t.throws(() => ring.setActive("v9"), UnknownKeyError);
+  try {
+    ring.decrypt("123456789", "v9");
+  } catch (ex) {
+    t.equal(ex.keyId, "v9");
+  }
+});
+
+test('remove and destroy', (t) => {
+  t.plan(5);
+  const ring = new Keyring({ tweak }).addKey("v1", key1).addKey("v2", key2);
+  const v1 = ring.cipher("v1");
+  const v2 = ring.cipher("v2");
+  ring.removeKey("v1");
+  t.equal(v1.destroyed, true);
+  t.equal(v2.destroyed, false);
+  ring.destroy();
+  t.equal(v2.destroyed, true);
+  t.deepEqual(ring.keyIds(), []);
+  t.throws(() => ring.encrypt("123456789"), UnknownKeyError);
+});
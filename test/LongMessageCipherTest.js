@@ -0,0 +1,57 @@
+const test = require('tape');
+const FF3Cipher = require('../lib/FF3Cipher');
+const LongMessageCipher = require('../lib/LongMessageCipher');
+const { InvalidLengthError, InvalidCharacterError } = require('../lib/errors');
+
+const key = "EF4359D8D580AA4F7F036D6F04FC6A94";
+const tweak = "D8E7920AFA330A";
+
+test('chunkSizes', (t) => {
+  t.plan(3);
+  const c = new LongMessageCipher(new FF3Cipher(key, tweak));
+  t.deepEqual(c.chunkSizes(57), [29, 28]);
+  t.deepEqual(c.chunkSizes(112), [56, 56]);
+  t.deepEqual(c.chunkSizes(113), [38, 38, 37]);
+});
+
+test('short message', (t) => {
+  t.plan(1);
+  // messages up to maxLen are encrypted unchanged
+  const c = new FF3Cipher(key, tweak);
+  t.equal(new LongMessageCipher(c).encrypt("890121234567890000"), c.encrypt("890121234567890000"));
+});
+
+test('long message', (t) => {
+  t.plan(4);
+  const c = new LongMessageCipher(new FF3Cipher(key, tweak));
+  const pt = "0123456789".repeat(20) + "0";
+  let ciphertext = c.encrypt(pt);
+  t.equal(ciphertext.length, pt.length);
+  t.equal(c.decrypt(ciphertext), pt);
+  // identical chunks encrypt differently
+  const repeated = "1234567".repeat(16);
+  ciphertext = c.encrypt(repeated);
+  t.notEqual(ciphertext.substring(0, 56), ciphertext.substring(56));
+  t.equal(c.decrypt(ciphertext, tweak), repeated);
+});
+
+test('per-call tweak', (t) => {
+  t.plan(2);
+  const c = new LongMessageCipher(FF3Cipher.withCustomAlphabet(key, tweak, "ABCDEFGHIJKLMNOPQRSTUVWXYZ"));
+  const pt = "THEQUICKBROWNFOXJUMPSOVERTHELAZYDOG".repeat(3);
+  const ciphertext = c.encrypt(pt, "9A768A92F60E12D8");
+  t.notEqual(ciphertext, c.encrypt(pt));
+  t.equal(c.decrypt(ciphertext, "9A768A92F60E12D8"), pt);
+});
+
+test('errors', (t) => {
+  t.plan(3);
+  const c = new LongMessageCipher(new FF3Cipher(key, tweak));
+  t.throws(() => c.encrypt("12345"), InvalidLengthError);
+  try {
+    c.encrypt("1".repeat(60) + "x" + "1".repeat(10));
+  } catch (ex) {
+    t.ok(ex instanceof InvalidCharacterError);
+    t.equal(ex.position, 60);
+  }
+});
@@ -0,0 +1,53 @@
+const test = require('tape');
+const FF3Cipher = require('../lib/FF3Cipher');
+const MixedRadixCipher = require('../lib/MixedRadixCipher');
+const { InvalidLengthError, InvalidCharacterError } = require('../lib/errors');
+
+const key = "EF4359D8D580AA4F7F036D6F04FC6A94";
+const tweak = "D8E7920AFA330A";
+const LETTERS = "ABCDEFGHIJKLMNOPQRSTUVWXYZ";
+const DIGITS = "0123456789";
+
+test('rank', (t) => {
+  t.plan(4);
+  const c = new MixedRadixCipher(new FF3Cipher(key, tweak), [LETTERS, 10, 10, 10, 10, 10, 10]);
+  t.equal(c.domain, 26000000n);
+  t.equal(c.length, 8);
+  t.equal(c.rank("B000012"), 1000012n);
+  t.equal(c.unrank(1000012n), "B000012");
+});
+
+test('letter followed by six digits', (t) => {
+  t.plan(2);
+  const c = new MixedRadixCipher(new FF3Cipher(key, tweak), [LETTERS, DIGITS, DIGITS, DIGITS, DIGITS, DIGITS, DIGITS]);
+  let ok = true;
+  for (let i = 0; i < 100; i++) {
+    const pt = LETTERS[i % 26] + String(i * 9871).padStart(6, "0");
+    const ct = c.encrypt(pt);
+    ok = ok && /^[A-Z]\d{6}$/.test(ct) && c.decrypt(ct) === pt;
+  }
+  t.ok(ok);
+  t.notEqual(c.encrypt("A123456"), c.encrypt("A123456", "9A768A92F60E12D8"));
+});
+
+test('license plate', (t) => {
+  t.plan(2);
+  const c = new MixedRadixCipher(new FF3Cipher(key, tweak), [DIGITS, LETTERS, LETTERS, LETTERS, DIGITS, DIGITS, DIGITS]);
+  const ct = c.encrypt("7ABC123");
+  t.match(ct, /^\d[A-Z]{3}\d{3}$/);
+  t.equal(c.decrypt(ct), "7ABC123");
+});
+
+test('errors', (t) => {
+  t.plan(4);
+  const c = new MixedRadixCipher(new FF3Cipher(key, tweak), [LETTERS, DIGITS, DIGITS, DIGITS, DIGITS, DIGITS, DIGITS]);
+  t.throws(() => c.encrypt("A12345"), InvalidLengthError);
+  try {
+    c.encrypt("AB23456");
+  } catch (ex) {
+    t.ok(ex instanceof InvalidCharacterError);
+    t.equal(ex.position, 1);
+  }
+  // the domain 26 * 10^3 needs only 5 digits, below minLen 6
+  t.throws(() => new MixedRadixCipher(new FF3Cipher(key, tweak), [LETTERS, DIGITS, DIGITS, DIGITS]), InvalidLengthError);
+});
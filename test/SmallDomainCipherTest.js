@@ -0,0 +1,48 @@
+const test = require('tape');
+const SmallDomainCipher = require('../lib/SmallDomainCipher');
+const { InvalidLengthError, InvalidCharacterError, InvalidKeyError } = require('../lib/errors');
+
+const key = "EF4359D8D580AA4F7F036D6F04FC6A94";
+const tweak = "D8E7920AFA330A";
+
+test('permutation of the whole domain', (t) => {
+  t.plan(3);
+  const c = new SmallDomainCipher(key, tweak, 10);
+  const tokens = new Set();
+  let roundTrips = true;
+  for (let i = 0; i < 100; ++i) {
+    const pin = String(i).padStart(2, '0');
+    const token = c.encrypt(pin);
+    tokens.add(token);
+    roundTrips = roundTrips && /^[0-9]{2}$/.test(token) && c.decrypt(token) === pin;
+  }
+  t.equal(tokens.size, 100);
+  t.ok(roundTrips);
+  // deterministic for the same key and tweak
+  t.equal(new SmallDomainCipher(key, tweak, 10).encrypt("1234"), c.encrypt("1234"));
+});
+
+test('pins, codes and state codes', (t) => {
+  t.plan(6);
+  const c = new SmallDomainCipher(key, tweak, 10);
+  t.equal(c.maxLen, 5);
+  t.equal(c.decrypt(c.encrypt("0420")), "0420");
+  t.equal(c.decrypt(c.encrypt("737")), "737");
+  t.notEqual(c.encrypt("0420", "9A768A92F60E12"), c.encrypt("0420"));
+  t.notEqual(new SmallDomainCipher("2DE79D232DF5585D68CE47882AE256D6", tweak, 10).encrypt("0420"), c.encrypt("0420"));
+
+  const states = SmallDomainCipher.withCustomAlphabet(key, tweak, "ABCDEFGHIJKLMNOPQRSTUVWXYZ");
+  t.equal(states.decrypt(states.encrypt("NY")), "NY");
+});
+
+test('errors and destroy', (t) => {
+  t.plan(5);
+  const c = new SmallDomainCipher(Buffer.from(key, 'hex'), tweak, 10);
+  t.throws(() => c.encrypt("123456"), InvalidLengthError);
+  t.throws(() => c.encrypt(""), InvalidLengthError);
+  t.throws(() => c.encrypt("12a4"), InvalidCharacterError);
+  t.throws(() => new SmallDomainCipher("EF4359D8", tweak, 10), InvalidKeyError);
+  c.encrypt("1234");
+  c.destroy();
+  t.throws(() => c.decrypt("1234"), /cipher has been destroyed/);
+});
@@ -0,0 +1,160 @@
+const test = require('tape');
+const FF3Cipher = require('../lib/FF3Cipher');
+const FF1Cipher = require('../lib/FF1Cipher');
+const SmallDomainCipher = require('../lib/SmallDomainCipher');
+const FF3CipherAsync = require('../lib/FF3CipherAsync');
+const FF3Pool = require('../lib/FF3Pool');
+const CardTokenizer = require('../lib/CardTokenizer');
+const UsageMeter = require('../lib/UsageMeter');
+const { UsageLimitError, FPEError, InvalidCharacterError } = require('../lib/errors');
+
+const key = "EF4359D8D580AA4F7F036D6F04FC6A94";
+const tweak = "D8E7920AFA330A";
+
+function caught(fn) {
+  try {
+    fn();
+  } catch (ex) {
+    return ex;
+  }
+}
+
+test('counts per cipher and tweak', (t) => {
+  t.plan(7);
+  const meter = new UsageMeter();
+  const c = new FF3Cipher(key, tweak, 10, { meter });
+  const ciphertext = c.encrypt("4000001234567899");
+  t.equal(ciphertext, new FF3Cipher(key, tweak).encrypt("4000001234567899"), 'same result with a meter');
+  c.decrypt(ciphertext);
+  c.encrypt("4000001234567899", "9a768a92f60e12");
+  c.encrypt("4000001234567899", "9A768A92F60E12");
+  t.equal(meter.total, 4);
+  t.equal(meter.count(tweak), 2);
+  t.equal(meter.count("9A768A92F60E12"), 2, 'tweaks are not case sensitive');
+  t.deepEqual(meter.toJSON(), {
+    encryptions: 3,
+    decryptions: 1,
+    tweaks: { [tweak]: { encryptions: 1, decryptions: 1 }, "9A768A92F60E12": { encryptions: 2, decryptions: 0 } }
+  });
+  // a value that fails is not counted
+  t.ok(caught(() => c.encrypt("40000012345678x9")) instanceof InvalidCharacterError);
+  t.equal(meter.total, 4);
+});
+
+test('onUse events', (t) => {
+  t.plan(2);
+  const events = [];
+  const meter = new UsageMeter({ onUse: event => events.push(event) });
+  const c = new FF1Cipher(key, tweak, 10, { meter });
+  c.decrypt(c.encrypt("0123456789"));
+  t.deepEqual(events, [
+    { operation: 'encrypt', tweak, count: 1, total: 1 },
+    { operation: 'decrypt', tweak, count: 2, total: 2 }
+  ]);
+  t.notOk(JSON.stringify(events).includes("0123456789"), 'no values in events');
+});
+
+test('soft and hard limits per tweak', (t) => {
+  t.plan(8);
+  const warnings = [];
+  const meter = new UsageMeter({ softLimit: 2, hardLimit: 3, onSoftLimit: event => warnings.push(event) });
+  const c = new FF3Cipher(key, tweak, 10, { meter });
+  c.encrypt("1234567890");
+  c.encrypt("1234567890");
+  t.equal(warnings.length, 0);
+  c.encrypt("1234567890");
+  t.deepEqual(warnings, [{ scope: 'tweak', tweak, count: 3, limit: 2 }]);
+
+  const ex = caught(() => c.encrypt("1234567890"));
+  t.ok(ex instanceof UsageLimitError);
+  t.ok(ex instanceof FPEError);
+  t.equal(ex.limit, 3);
+  t.equal(ex.tweak, tweak);
+  // other tweaks have their own limits
+  c.encrypt("1234567890", "9A768A92F60E12");
+  t.equal(meter.count("9A768A92F60E12"), 1);
+  t.equal(warnings.length, 1, 'soft limit reported once per tweak');
+});
+
+test('limits for the key, shared and restored', (t) => {
+  t.plan(5);
+  const meter = new UsageMeter({ scope: 'key', hardLimit: 3 });
+  const a = new FF3Cipher(key, tweak, 10, { meter });
+  const b = new SmallDomainCipher(key, tweak, 10, { meter });
+  a.encrypt("1234567890", "9A768A92F60E12");
+  b.encrypt("1234");
+  t.equal(meter.total, 2);
+  a.encrypt("1234567890");
+  const ex = caught(() => b.encrypt("1234"));
+  t.ok(ex instanceof UsageLimitError);
+  t.equal(ex.tweak, undefined);
+
+  // counts carry over to a new meter
+  const restored = new UsageMeter({ scope: 'key', hardLimit: 3, counts: JSON.parse(JSON.stringify(meter)) });
+  t.equal(restored.count(tweak), 2);
+  t.ok(caught(() => new FF3Cipher(key, tweak, 10, { meter: restored }).encrypt("1234567890")) instanceof UsageLimitError);
+});
+
+test('wrapped ciphers are counted', (t) => {
+  t.plan(1);
+  const meter = new UsageMeter();
+  const card = new CardTokenizer(new FF3Cipher(key, tweak, 10, { meter }));
+  card.encrypt("4000001234567899");
+  t.ok(meter.total >= 1);
+});
+
+test('custom alphabet ciphers are counted', (t) => {
+  t.plan(1);
+  const meter = new UsageMeter();
+  const letters = "ABCDEFGHIJKLMNOPQRSTUVWXYZ";
+  FF3Cipher.withCustomAlphabet(key, tweak, letters, { meter }).encrypt("CUSTOMERNAME");
+  FF1Cipher.withCustomAlphabet(key, tweak, letters, { meter }).encrypt("CUSTOMERNAME");
+  SmallDomainCipher.withCustomAlphabet(key, tweak, letters, { meter }).encrypt("CA");
+  t.equal(meter.count(tweak), 3);
+});
+
+test('a 56-bit tweak and its 64-bit expansion are one tweak', (t) => {
+  t.plan(3);
+  const meter = new UsageMeter({ hardLimit: 2 });
+  const c = new FF3Cipher(key, tweak, 10, { meter });
+  // D8E7920AFA330A expands to D8E79200FA330AA0
+  t.equal(c.encrypt("1234567890", "D8E79200FA330AA0"), c.encrypt("1234567890"));
+  t.equal(meter.count(tweak), 2);
+  t.ok(caught(() => c.encrypt("1234567890", "d8e79200fa330aa0")) instanceof UsageLimitError);
+});
+
+test('async ciphers are counted and limited', async (t) => {
+  t.plan(3);
+  const meter = new UsageMeter({ hardLimit: 2 });
+  const c = new FF3CipherAsync(key, tweak, 10, { meter, subtle: require('crypto').webcrypto.subtle });
+  // uses are reserved while a call runs, so calls made together can't pass the limit
+  const results = await Promise.all(["1234567890", "2234567890", "3234567890"].map(v => c.encrypt(v).catch(ex => ex)));
+  t.equal(results.filter(r => r instanceof UsageLimitError).length, 1);
+  t.equal(results[0], new FF3Cipher(key, tweak).encrypt("1234567890"));
+  t.equal(meter.count(tweak), 2);
+});
+
+test('pooled values are counted and limited', async (t) => {
+  t.plan(4);
+  const meter = new UsageMeter({ hardLimit: 6 });
+  const pool = new FF3Pool(key, tweak, 10, { size: 1, batchSize: 2, meter });
+  try {
+    await pool.encryptMany(["1234567890", "2234567890", "3234567890", "4234567890", "5234567890"]);
+    t.equal(meter.count(tweak), 5);
+    const ex = await pool.encryptMany(["1234567890", "2234567890"]).catch(err => err);
+    t.ok(ex instanceof UsageLimitError, 'all the values of a call are checked before it starts');
+    t.equal(meter.count(tweak), 5);
+    // values before a value that fails are counted
+    await pool.decryptMany(["1234567890", "1234567x90"], "9A768A92F60E12").catch(err => err);
+    t.equal(meter.count("9A768A92F60E12"), 1);
+  } finally {
+    await pool.destroy();
+  }
+});
+
+test('options', (t) => {
+  t.plan(3);
+  t.throws(() => new UsageMeter({ scope: 'table' }), TypeError);
+  t.throws(() => new UsageMeter({ hardLimit: -1 }), TypeError);
+  t.throws(() => new UsageMeter({ softLimit: 1.5 }), TypeError);
+});
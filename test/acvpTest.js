@@ -0,0 +1,85 @@
+const test = require('tape');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const { runVectors, runVectorFiles } = require('../lib/acvp');
+
+// ACVP FF3-1 vectors, as in testacvp128dot1 to testacvp128dot3
+const request = [
+  { acvVersion: "1.0" },
+  { vsId: 1, algorithm: "ACVP-AES-FF3-1", revision: "1.0", testGroups: [
+    { tgId: 1, testType: "AFT", direction: "encrypt", keyLen: 128, tweakLen: 56, alphabet: "0123456789", radix: 10, tests: [
+      { tcId: 1, key: "2DE79D232DF5585D68CE47882AE256D6", tweak: "CBD09280979564", pt: "3992520240" },
+      { tcId: 2, key: "01C63017111438F7FC8E24EB16C71AB5", tweak: "C4E822DCD09F27",
+        pt: "60761757463116869318437658042297305934914824457484538562" }
+    ]},
+    { tgId: 2, testType: "AFT", direction: "decrypt", keyLen: 128, tweakLen: 56, alphabet: "abcdefghijklmnopqrstuvwxyz", radix: 26, tests: [
+      { tcId: 26, key: "718385E6542534604419E83CE387A437", tweak: "B6F35084FA90E1", ct: "ywowehycyd" }
+    ]}
+  ]}
+];
+
+const response = [
+  { acvVersion: "1.0" },
+  { vsId: 1, algorithm: "ACVP-AES-FF3-1", revision: "1.0", testGroups: [
+    { tgId: 1, tests: [
+      { tcId: 1, ct: "8901801106" },
+      { tcId: 2, ct: "35637144092473838892796702739628394376915177448290847293" }
+    ]},
+    { tgId: 2, tests: [
+      { tcId: 26, pt: "wfmwlrorcd" }
+    ]}
+  ]}
+];
+
+test('ff3-1 request and response', (t) => {
+  t.plan(4);
+  const report = runVectors(request, response);
+  t.equal(report.algorithm, "ACVP-AES-FF3-1");
+  t.equal(report.passed, 3);
+  t.equal(report.failed, 0);
+  t.deepEqual(report.results.map(r => [r.tgId, r.tcId, r.direction]), [[1, 1, 'encrypt'], [1, 2, 'encrypt'], [2, 26, 'decrypt']]);
+});
+
+test('failures are reported per test case', (t) => {
+  t.plan(6);
+  const wrong = JSON.parse(JSON.stringify(response));
+  wrong[1].testGroups[0].tests[1].ct = "00000000000000000000000000000000000000000000000000000000";
+  const bad = JSON.parse(JSON.stringify(request));
+  bad[1].testGroups[1].tests[0].ct = "ywow";
+  const report = runVectors(bad, wrong);
+  t.equal(report.passed, 1);
+  t.equal(report.failed, 2);
+  t.equal(report.results[1].passed, false);
+  t.equal(report.results[1].actual, "35637144092473838892796702739628394376915177448290847293");
+  t.equal(report.results[2].passed, false);
+  t.equal(report.results[2].error.name, 'InvalidLengthError');
+});
+
+test('ff1 with expected results in the request', (t) => {
+  t.plan(2);
+  // NIST FF1 samples 1 and 2
+  const report = runVectors({ vsId: 2, algorithm: "ACVP-AES-FF1", testGroups: [
+    { tgId: 1, direction: "encrypt", alphabet: "0123456789", radix: 10, tests: [
+      { tcId: 1, key: "2B7E151628AED2A6ABF7158809CF4F3C", tweak: "", pt: "0123456789", ct: "2433477484" },
+      { tcId: 2, key: "2B7E151628AED2A6ABF7158809CF4F3C", tweak: "39383736353433323130", pt: "0123456789", ct: "6124200773" }
+    ]}
+  ]});
+  t.equal(report.passed, 2);
+  t.equal(report.failed, 0);
+});
+
+test('unsupported algorithm', (t) => {
+  t.plan(1);
+  t.throws(() => runVectors({ algorithm: "ACVP-AES-GCM", testGroups: [] }), /unsupported ACVP algorithm/);
+});
+
+test('files', (t) => {
+  t.plan(1);
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ff3-'));
+  fs.writeFileSync(path.join(dir, 'prompt.json'), JSON.stringify(request));
+  fs.writeFileSync(path.join(dir, 'expectedResults.json'), JSON.stringify(response));
+  const report = runVectorFiles(path.join(dir, 'prompt.json'), path.join(dir, 'expectedResults.json'));
+  fs.rmSync(dir, { recursive: true });
+  t.equal(report.passed, 3);
+});
@@ -0,0 +1,94 @@
+const test = require('tape');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const { spawnSync } = require('child_process');
+const FF3Cipher = require('../lib/FF3Cipher');
+
+const key = "EF4359D8D580AA4F7F036D6F04FC6A94";
+const tweak = "D8E7920AFA330A";
+const bin = path.join(__dirname, '..', 'bin', 'ff3.js');
+
+function ff3(args, input, env = { FF3_KEY: key }) {
+  return spawnSync(process.execPath, [bin, ...args], { input, env: { ...process.env, FF3_KEY: '', ...env }, encoding: 'utf8' });
+}
+
+test('lines', (t) => {
+  t.plan(3);
+  const c = new FF3Cipher(key, tweak);
+  let r = ff3(['encrypt', '--tweak', tweak], "123456789\n987654321\n");
+  t.equal(r.status, 0);
+  t.equal(r.stdout, `${c.encrypt("123456789")}\n${c.encrypt("987654321")}\n`);
+  r = ff3(['decrypt', '--tweak', tweak], r.stdout);
+  t.equal(r.stdout, "123456789\n987654321\n");
+});
+
+test('csv column with key file', (t) => {
+  t.plan(2);
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ff3-'));
+  const keyFile = path.join(dir, 'key');
+  fs.writeFileSync(keyFile, key + '\n');
+  const c = FF3Cipher.withCustomAlphabet(key, tweak, "ABCDEFGHIJKLMNOPQRSTUVWXYZ");
+  const r = ff3(['encrypt', '--key-file', keyFile, '--tweak', tweak, '--alphabet', 'ABCDEFGHIJKLMNOPQRSTUVWXYZ',
+    '--format', 'csv', '--column', 'name'], "id,name\n1,ALICE\n", {});
+  fs.rmSync(dir, { recursive: true });
+  t.equal(r.status, 0);
+  t.equal(r.stdout, `id,name\n1,${c.encrypt("ALICE")}\n`);
+});
+
+test('ndjson path with ff1', (t) => {
+  t.plan(2);
+  const r = ff3(['encrypt', '--algorithm', 'ff1', '--format', 'ndjson', '--path', 'card.number'],
+    '{"card":{"number":"0123456789"}}\n', { FF3_KEY: "2B7E151628AED2A6ABF7158809CF4F3C" });
+  t.equal(r.status, 0);
+  // NIST FF1 Sample #1
+  t.equal(r.stdout, '{"card":{"number":"2433477484"}}\n');
+});
+
+test('keygen', (t) => {
+  t.plan(2);
+  t.match(ff3(['keygen']).stdout, /^[0-9A-F]{64}\n$/);
+  t.match(ff3(['keygen', '--bits', '128']).stdout, /^[0-9A-F]{32}\n$/);
+});
+
+test('acvp', (t) => {
+  t.plan(4);
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ff3-'));
+  const prompt = path.join(dir, 'internalProjection.json');
+  const vectors = { vsId: 1, algorithm: "ACVP-AES-FF3-1", testGroups: [
+    { tgId: 1, direction: "encrypt", alphabet: "0123456789", radix: 10, tests: [
+      { tcId: 1, key: "2DE79D232DF5585D68CE47882AE256D6", tweak: "CBD09280979564", pt: "3992520240", ct: "8901801106" }
+    ]}
+  ]};
+  fs.writeFileSync(prompt, JSON.stringify(vectors));
+  let r = ff3(['acvp', prompt], '', {});
+  t.equal(r.status, 0);
+  t.equal(r.stdout, "tg 1 tc 1 encrypt: pass\nACVP-AES-FF3-1: 1 passed, 0 failed\n");
+  vectors.testGroups[0].tests[0].ct = "8901801107";
+  fs.writeFileSync(prompt, JSON.stringify(vectors));
+  r = ff3(['acvp', prompt], '', {});
+  fs.rmSync(dir, { recursive: true });
+  t.equal(r.status, 1);
+  t.match(r.stdout, /tc 1 encrypt: FAIL expected 8901801107 got 8901801106/);
+});
+
+test('errors', (t) => {
+  t.plan(10);
+  let r = ff3(['encrypt', '--key', key, '--tweak', tweak], "123456789\n");
+  t.equal(r.status, 2);
+  // the key is rejected in any form, and never echoed
+  r = ff3(['encrypt', `--key=${key}`, '--tweak', tweak], "123456789\n");
+  t.equal(r.status, 2);
+  t.match(r.stderr, /--key is not supported/);
+  t.notOk(r.stderr.includes(key));
+  r = ff3(['encrypt', '--tweak', tweak, '--colum', 'ssn'], "123456789\n");
+  t.equal(r.status, 2, 'unknown options are rejected');
+  t.match(r.stderr, /unknown option --colum/);
+  r = ff3(['encrypt', '--tweak', tweak], "123456789\n", {});
+  t.match(r.stderr, /no key/);
+  r = ff3(['encrypt', '--tweak', tweak], "123456789\n12345678x\n");
+  t.equal(r.status, 1);
+  t.match(r.stderr, /record 2/);
+  r = ff3(['encrypt', '--tweak', tweak, '--on-error', 'pass'], "12345678x\n");
+  t.equal(r.stdout, "12345678x\n");
+});
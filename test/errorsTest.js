@@ -0,0 +1,96 @@
+const test = require('tape');
+const FF3Cipher = require('../lib/FF3Cipher');
+const FF1Cipher = require('../lib/FF1Cipher');
+const SmallDomainCipher = require('../lib/SmallDomainCipher');
+const {
+  FPEError, InvalidKeyError, InvalidTweakError, InvalidRadixError, InvalidLengthError, InvalidCharacterError,
+  InvalidFormatError
+} = require('../lib/errors');
+
+const key = "EF4359D8D580AA4F7F036D6F04FC6A94";
+const tweak = "D8E7920AFA330A";
+
+function caught(fn) {
+  try {
+    fn();
+  } catch (ex) {
+    return ex;
+  }
+}
+
+test('InvalidKeyError', (t) => {
+  t.plan(5);
+  let ex = caught(() => new FF3Cipher("EF4359D8D580AA4F", tweak));
+  t.ok(ex instanceof InvalidKeyError);
+  t.ok(ex instanceof FPEError);
+  t.equal(ex.keyLength, 8);
+  t.ok(caught(() => new FF3Cipher("not a hex key", tweak)) instanceof InvalidKeyError);
+  t.ok(caught(() => new FF1Cipher("EF4359D8D580AA4F", tweak)) instanceof InvalidKeyError);
+});
+
+test('InvalidTweakError', (t) => {
+  t.plan(5);
+  let ex = caught(() => new FF3Cipher(key, "D8E7920AFA"));
+  t.ok(ex instanceof InvalidTweakError);
+  t.equal(ex.tweakLength, 5);
+  t.ok(caught(() => new FF3Cipher(key, "D8E7920AFA330Z")) instanceof InvalidTweakError);
+  const c = new FF3Cipher(key, tweak);
+  t.ok(caught(() => c.encrypt("123456789", "D8E7")) instanceof InvalidTweakError);
+  t.ok(caught(() => new FF1Cipher(key, "XYZ")) instanceof InvalidTweakError);
+});
+
+test('InvalidRadixError', (t) => {
+  t.plan(3);
+  t.ok(caught(() => new FF3Cipher(key, tweak, 1)) instanceof InvalidRadixError);
+  t.ok(caught(() => new FF3Cipher(key, tweak, 64)) instanceof InvalidRadixError);
+  t.ok(caught(() => FF3Cipher.withCustomAlphabet(key, tweak, "ABCA")) instanceof InvalidRadixError);
+});
+
+test('InvalidLengthError', (t) => {
+  t.plan(5);
+  const c = new FF3Cipher(key, tweak);
+  let ex = caught(() => c.encrypt("12345"));
+  t.ok(ex instanceof InvalidLengthError);
+  t.equal(ex.length, 5);
+  t.equal(ex.minLen, 6);
+  t.equal(ex.maxLen, 56);
+  t.ok(caught(() => c.decrypt("1".repeat(57))) instanceof InvalidLengthError);
+});
+
+test('InvalidCharacterError', (t) => {
+  t.plan(8);
+  const c = new FF3Cipher(key, tweak);
+  let ex = caught(() => c.encrypt("1234a6789"));
+  t.ok(ex instanceof InvalidCharacterError);
+  t.equal(ex.character, 'a');
+  t.equal(ex.position, 4);
+  t.equal(ex.radix, 10);
+
+  // positions count code points
+  const u = FF3Cipher.withCustomAlphabet(key, tweak, "αβγδεζηθικλμνξοπρστυφχψω😀");
+  ex = caught(() => u.decrypt("😀αβγδ-ζη"));
+  t.equal(ex.character, '-');
+  t.equal(ex.position, 5);
+
+  // characters that are special inside a regex character class
+  const s = FF3Cipher.withCustomAlphabet(key, tweak, "0123456789-^]\\[");
+  t.equal(s.decrypt(s.encrypt("-^]\\[0123")), "-^]\\[0123");
+  t.ok(caught(() => new FF1Cipher(key, "").encrypt("01234567x9")) instanceof InvalidCharacterError);
+});
+
+test('InvalidFormatError for values that are not strings', (t) => {
+  t.plan(10);
+  const c = new FF3Cipher(key, tweak);
+  const f = new FF1Cipher(key, "");
+  const s = new SmallDomainCipher(key, tweak);
+  for (const value of [12345678, null, undefined, ["1", "2", "3", "4", "5", "6"]]) {
+    const ex = caught(() => c.encrypt(value));
+    t.ok(ex instanceof InvalidFormatError, `FF3 ${value}`);
+  }
+  t.ok(caught(() => c.decrypt(12345678n)) instanceof InvalidFormatError);
+  t.ok(caught(() => f.encrypt(null)) instanceof InvalidFormatError);
+  t.ok(caught(() => f.decrypt(12345678)) instanceof InvalidFormatError);
+  t.ok(caught(() => f.encrypt(null)) instanceof FPEError);
+  t.ok(caught(() => s.encrypt(null)) instanceof InvalidFormatError, 'SmallDomainCipher null');
+  t.ok(caught(() => s.decrypt(1234)) instanceof InvalidFormatError, 'SmallDomainCipher number');
+});
@@ -0,0 +1,113 @@
+const test = require('tape');
+const FF3Cipher = require('../lib/FF3Cipher');
+const FormatEncryptor = require('../lib/FormatEncryptor');
+const { encryptObject, decryptObject } = require('../lib/objectEncryption');
+const { InvalidFormatError } = require('../lib/errors');
+
+const key = "EF4359D8D580AA4F7F036D6F04FC6A94";
+const tweak = "D8E7920AFA330A";
+const tweakKey = "2B7E151628AED2A6ABF7158809CF4F3C";
+
+const doc = {
+  id: 7,
+  customer: { name: "Alice", ssn: "123-45-6789", email: "alice.smith@example.com" },
+  orders: [
+    { sku: "A1", card: "4000001234567899", placed: "2021-03-04" },
+    { sku: "B2", card: "5500000000000004", placed: "2021-11-30" }
+  ],
+  tags: ["VIPCLIENT", "NEWSLETTER"]
+};
+
+const policy = {
+  key, tweak, tweakKey,
+  fields: {
+    'customer.ssn': { format: '###-##-####' },
+    'customer.email': { radix: 36, helper: 'email' },
+    'orders[*].card': { helper: 'card', tweakContext: ['orders', 'card'] },
+    'orders[*].placed': { helper: 'date', options: { start: "2000-01-01", end: "2030-12-31" } },
+    'tags[*]': { alphabet: "ABCDEFGHIJKLMNOPQRSTUVWXYZ", algorithm: 'ff1' }
+  }
+};
+
+test('fields are encrypted and decrypt exactly', (t) => {
+  t.plan(9);
+  const enc = encryptObject(doc, policy);
+  t.match(enc.customer.ssn, /^\d{3}-\d{2}-\d{4}$/);
+  t.notEqual(enc.customer.ssn, doc.customer.ssn);
+  t.equal(enc.customer.ssn, new FormatEncryptor(new FF3Cipher(key, tweak), '###-##-####').encrypt("123-45-6789"));
+  t.match(enc.customer.email, /^[0-9a-z]{5}\.[0-9a-z]{5}@example\.com$/);
+  t.equal(enc.orders[0].card.substring(0, 6), "400000");
+  t.match(enc.orders[1].placed, /^\d{4}-\d{2}-\d{2}$/);
+  t.match(enc.tags[0], /^[A-Z]{9}$/);
+  // fields not in the policy are unchanged
+  t.equal(enc.customer.name, "Alice");
+  t.deepEqual(decryptObject(enc, policy), doc);
+});
+
+test('short email parts', (t) => {
+  t.plan(2);
+  // parts too short to cycle walk use a SmallDomainCipher with the field's key and tweak
+  const emails = { key, tweak, fields: { email: { radix: 36, helper: 'email' } } };
+  const enc = encryptObject({ email: "a@example.com" }, emails);
+  t.match(enc.email, /^[0-9a-z]@example\.com$/);
+  t.equal(decryptObject(enc, emails).email, "a@example.com");
+});
+
+test('small IP host parts', (t) => {
+  t.plan(2);
+  const hosts = { key, tweak, fields: { ip: { radix: 16, helper: 'ip', options: { ipv4Prefix: 24 } } } };
+  const enc = encryptObject({ ip: "192.168.10.25" }, hosts);
+  t.match(enc.ip, /^192\.168\.10\.\d+$/);
+  t.equal(decryptObject(enc, hosts).ip, "192.168.10.25");
+});
+
+test('the input document is not modified', (t) => {
+  t.plan(3);
+  const before = JSON.stringify(doc);
+  const enc = encryptObject(doc, policy);
+  t.equal(JSON.stringify(doc), before);
+  t.notEqual(enc.customer, doc.customer);
+  t.equal(encryptObject({ id: 1, other: doc.orders }, { key, tweak, fields: { id2: {} }, mode: 'lenient' }).other, doc.orders);
+});
+
+test('strict mode throws with the path', (t) => {
+  t.plan(4);
+  const bad = { ...doc, orders: [doc.orders[0], { sku: "C3", card: "12345x789012" }] };
+  let ex;
+  try {
+    encryptObject(bad, policy);
+  } catch (e) {
+    ex = e;
+  }
+  t.ok(ex instanceof InvalidFormatError);
+  t.equal(ex.path, "orders[1].card");
+  t.throws(() => encryptObject({ customer: {} }, { key, tweak, fields: { 'customer.ssn': {} } }), /customer.ssn is missing/);
+  t.throws(() => encryptObject({ customer: { ssn: 123456789 } }, { key, tweak, fields: { 'customer.ssn': {} } }), /not a string/);
+});
+
+test('lenient mode reports and skips', (t) => {
+  t.plan(4);
+  const errors = [];
+  const lenient = {
+    key, tweak, mode: 'lenient', onError: (err, path) => errors.push([err.constructor.name, path]),
+    fields: { 'a.ssn': {}, 'b[*].ssn': {}, 'c.ssn': {} }
+  };
+  const enc = encryptObject({ a: { ssn: "123456789" }, b: [{ ssn: "12345678x" }, {}], c: "text" }, lenient);
+  t.equal(enc.a.ssn, new FF3Cipher(key, tweak).encrypt("123456789"));
+  t.equal(enc.b[0].ssn, "12345678x");
+  t.equal(enc.c, "text");
+  t.deepEqual(errors, [
+    ['InvalidCharacterError', 'b[0].ssn'], ['InvalidFormatError', 'b[1].ssn'], ['InvalidFormatError', 'c.ssn']
+  ]);
+});
+
+test('policy errors', (t) => {
+  t.plan(5);
+  t.throws(() => encryptObject(doc, { key, tweak, fields: { 'a..b': {} } }), /invalid path/);
+  t.throws(() => encryptObject(doc, { key, tweak, fields: { 'a[*]b': {} } }), /invalid path/);
+  t.throws(() => encryptObject(doc, { key, tweak, fields: { a: { helper: 'zip' } } }), /unknown helper/);
+  t.throws(() => encryptObject(doc, { key, tweak, fields: { a: { tweakContext: ['x'] } } }), /tweakKey/);
+  // a cipher object can be used directly
+  const cipher = new FF3Cipher(key, tweak, 26);
+  t.equal(encryptObject({ id: "abcdefg" }, { fields: { id: cipher } }).id, cipher.encrypt("abcdefg"));
+});
@@ -0,0 +1,101 @@
+const test = require('tape');
+const http = require('http');
+const FF3Cipher = require('../lib/FF3Cipher');
+const { createServer } = require('../lib/server');
+
+const key = "EF4359D8D580AA4F7F036D6F04FC6A94";
+const tweak = "D8E7920AFA330A";
+
+const profiles = {
+  ssn: { key, tweak },
+  email: { keyEnv: 'FF3_TEST_SERVER_KEY', tweak, radix: 36, helper: 'email' }
+};
+
+function request(port, method, path, body, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({ host: '127.0.0.1', port, method, path, headers }, (res) => {
+      let data = '';
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => { data += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(data) }));
+    });
+    req.on('error', reject);
+    req.end((body === undefined) ? undefined : (typeof body === 'string' ? body : JSON.stringify(body)));
+  });
+}
+
+function listen(options) {
+  process.env.FF3_TEST_SERVER_KEY = key;
+  const server = createServer(options);
+  return new Promise((resolve) => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+test('encrypt and decrypt batches', async (t) => {
+  t.plan(6);
+  const server = await listen({ profiles });
+  const port = server.address().port;
+  const c = new FF3Cipher(key, tweak);
+
+  let r = await request(port, 'POST', '/encrypt', [
+    { value: "123456789", profile: 'ssn' },
+    { value: "123456789", profile: 'ssn', tweak: "9A768A92F60E12" },
+    { value: "alice.smith@example.com", profile: 'email' }
+  ]);
+  t.equal(r.status, 200);
+  t.equal(r.body.results[0].value, c.encrypt("123456789"));
+  t.equal(r.body.results[1].value, c.encrypt("123456789", "9A768A92F60E12"));
+
+  r = await request(port, 'POST', '/decrypt', [
+    { value: r.body.results[0].value, profile: 'ssn' },
+    { value: r.body.results[2].value, profile: 'email' }
+  ]);
+  t.deepEqual(r.body.results.map(x => x.value), ["123456789", "alice.smith@example.com"]);
+
+  r = await request(port, 'GET', '/health');
+  t.equal(r.status, 200);
+  t.deepEqual(r.body, { status: 'ok', profiles: ['ssn', 'email'] });
+  server.close();
+});
+
+test('errors', async (t) => {
+  t.plan(9);
+  const server = await listen({ profiles, maxBatch: 2 });
+  const port = server.address().port;
+
+  // item errors are mapped from cipher errors and don't fail the batch
+  let r = await request(port, 'POST', '/encrypt', [
+    { value: "12345x789", profile: 'ssn' },
+    { value: "123456789", profile: 'nope' }
+  ]);
+  t.equal(r.status, 200);
+  t.deepEqual(r.body.results[0].error, {
+    type: 'InvalidCharacterError', message: "character 'x' at position 5 is not in the radix 10 alphabet",
+    character: 'x', position: 5, radix: 10
+  });
+  t.equal(r.body.results[1].error.type, 'UnknownProfile');
+
+  r = await request(port, 'POST', '/encrypt', "{ not json");
+  t.deepEqual([r.status, r.body.error.type], [400, 'InvalidJSON']);
+  r = await request(port, 'POST', '/encrypt', { value: "123456789" });
+  t.deepEqual([r.status, r.body.error.type], [400, 'InvalidBatch']);
+  r = await request(port, 'POST', '/encrypt', [{}, {}, {}]);
+  t.deepEqual([r.status, r.body.error.type], [413, 'BatchTooLarge']);
+  r = await request(port, 'GET', '/encrypt');
+  t.equal(r.status, 405);
+  r = await request(port, 'GET', '/keys');
+  t.equal(r.status, 404);
+  server.close();
+
+  t.throws(() => createServer({ profiles: { bad: { tweak } } }), /has no key/);
+});
+
+test('bearer token', async (t) => {
+  t.plan(3);
+  const server = await listen({ profiles, token: "s3cret" });
+  const port = server.address().port;
+  const batch = [{ value: "123456789", profile: 'ssn' }];
+  t.equal((await request(port, 'POST', '/encrypt', batch)).status, 401);
+  t.equal((await request(port, 'POST', '/encrypt', batch, { Authorization: "Bearer wrong" })).status, 401);
+  t.equal((await request(port, 'POST', '/encrypt', batch, { Authorization: "Bearer s3cret" })).status, 200);
+  server.close();
+});